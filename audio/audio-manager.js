@@ -27,6 +27,9 @@ class AudioManager {
         this.musicBank = new Map();
         this.activeSounds = [];
         
+        // Pitch variation and noise use the "audio" stream (systems/random.js)
+        this.rng = window.random ? window.random.audio : { next: Math.random };
+        
         this.isInitialized = false;
     }
 
@@ -223,7 +226,7 @@ class AudioManager {
         
         // Apply pitch variation
         if (options.pitchVariation) {
-            const variation = (Math.random() - 0.5) * options.pitchVariation;
+            const variation = (this.rng.next() - 0.5) * options.pitchVariation;
             source.playbackRate.setValueAtTime(1 + variation, this.context.currentTime);
         }
         
@@ -457,7 +460,7 @@ class AudioManager {
         const data = buffer.getChannelData(0);
         
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.rng.next() * 2 - 1;
         }
         
         const source = this.context.createBufferSource();
@@ -538,6 +541,61 @@ class AudioManager {
         listener.upZ.setValueAtTime(orientation.up[2], this.context.currentTime);
     }
 
+    /* ============================================
+       EVENT BUS
+       ============================================ */
+    
+    bindEvents(bus = window.eventBus) {
+        const EVENTS = EventBus.EVENTS;
+        
+        // Settings
+        bus.on(EVENTS.SETTINGS_VOLUME, ({ type, value }) => this.setVolume(type, value));
+        bus.on(EVENTS.SETTINGS_MUTE, ({ muted }) => this.setMute(muted));
+        
+        // Gameplay sounds (procedural presets, silent until init())
+        const sfx = (name, play) => {
+            bus.on(name, (payload) => {
+                if (this.isInitialized && !this.suppressSfx) play(payload);
+            });
+        };
+        
+        // Replay seeking fast-forwards through many events at once
+        this.suppressSfx = false;
+        bus.on(EVENTS.REPLAY_STATE, ({ seeking }) => {
+            this.suppressSfx = seeking;
+        });
+        
+        sfx(EVENTS.COMBAT_SWING, () => SFX_PRESETS.playSwordSwing(this));
+        sfx(EVENTS.ENEMY_HIT, () => SFX_PRESETS.playHit(this));
+        sfx(EVENTS.PLAYER_DAMAGED, () => SFX_PRESETS.playHit(this, true));
+        sfx(EVENTS.COMBAT_BLOCK, () => this.playTone(300, 0.1, 'square', { volume: 0.2 }));
+        sfx(EVENTS.COMBAT_PARRY, () => this.playTone(1200, 0.15, 'triangle', { volume: 0.3 }));
+        
+        // Souls arrive in clusters; one arpeggio covers a burst of them
+        let lastSoul = -Infinity;
+        sfx(EVENTS.PICKUP_COLLECTED, ({ kind }) => {
+            if (kind === 'soul') {
+                const now = this.context.currentTime;
+                if (now - lastSoul < 0.15) return;
+                lastSoul = now;
+                SFX_PRESETS.playSoulCollect(this);
+            } else if (kind === 'health') {
+                this.playTone(440, 0.25, 'sine', { volume: 0.25 });
+            } else {
+                this.playTone(880, 0.12, 'triangle', { volume: 0.25 });
+            }
+        });
+        sfx(EVENTS.ITEM_USED, () => this.playTone(660, 0.15, 'sine', { volume: 0.25 }));
+        sfx(EVENTS.PLAYER_DASH, () => SFX_PRESETS.playDash(this));
+        sfx(EVENTS.PLAYER_HOP, () => SFX_PRESETS.playJump(this));
+        sfx(EVENTS.PLAYER_SPECIAL, () => this.playTone(330, 0.35, 'sawtooth', { volume: 0.2 }));
+        sfx(EVENTS.PLAYER_LEVEL_UP, () => SFX_PRESETS.playLevelUp(this));
+        
+        // Pause audio along with the game
+        bus.on(EVENTS.GAME_PAUSE, () => this.pauseMusic());
+        bus.on(EVENTS.GAME_RESUME, () => this.resumeMusic());
+    }
+
     /* ============================================
        STATE MANAGEMENT
        ============================================ */
@@ -584,7 +642,7 @@ const SFX_PRESETS = {
     
     // Combat sounds
     playSwordSwing(audioManager) {
-        const freq = 400 + Math.random() * 200;
+        const freq = 400 + audioManager.rng.next() * 200;
         audioManager.playNoise(0.15, {
             filterType: 'bandpass',
             frequency: freq,
@@ -626,6 +684,14 @@ const SFX_PRESETS = {
         osc.stop(now + 0.2);
     },
     
+    playDash(audioManager) {
+        audioManager.playNoise(0.2, {
+            filterType: 'highpass',
+            frequency: 1800,
+            volume: 0.35
+        });
+    },
+    
     playSoulCollect(audioManager) {
         const notes = [523.25, 659.25, 783.99, 1046.50]; // C major arpeggio
         notes.forEach((freq, i) => {
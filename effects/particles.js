@@ -4,7 +4,7 @@
  */
 
 class ParticleSystem {
-    constructor(canvas) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.particles = [];
@@ -13,9 +13,22 @@ class ParticleSystem {
         this.isRunning = false;
         this.lastTime = 0;
         
-        // Resize canvas
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
+        // Cosmetic randomness, kept apart from gameplay numbers
+        this.rng = options.rng || ParticleSystem.cosmeticRandom();
+        
+        // Resize canvas (skipped when drawing into a canvas owned by someone else)
+        if (options.autoResize !== false) {
+            this.resize();
+            window.addEventListener('resize', () => this.resize());
+        } else {
+            this.width = canvas.width;
+            this.height = canvas.height;
+        }
+    }
+
+    // The shared "particles" stream (systems/random.js), or Math.random when not loaded
+    static cosmeticRandom() {
+        return window.random ? window.random.particles : { next: Math.random };
     }
 
     resize() {
@@ -67,24 +80,24 @@ class ParticleSystem {
         for (let i = 0; i < count; i++) {
             if (this.particles.length >= this.maxParticles) break;
             
-            const angle = (Math.random() * spread) - (spread / 2);
-            const velocity = Math.random() * (speed.max - speed.min) + speed.min;
+            const angle = (this.rng.next() * spread) - (spread / 2);
+            const velocity = this.rng.next() * (speed.max - speed.min) + speed.min;
             
             this.particles.push({
                 x,
                 y,
                 vx: Math.cos(angle) * velocity,
                 vy: Math.sin(angle) * velocity,
-                size: Math.random() * (size.max - size.min) + size.min,
-                initialSize: Math.random() * (size.max - size.min) + size.min,
-                lifetime: Math.random() * (lifetime.max - lifetime.min) + lifetime.min,
+                size: this.rng.next() * (size.max - size.min) + size.min,
+                initialSize: this.rng.next() * (size.max - size.min) + size.min,
+                lifetime: this.rng.next() * (lifetime.max - lifetime.min) + lifetime.min,
                 age: 0,
                 color: this.parseColor(color),
                 type,
                 gravity,
                 drag,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 4
+                rotation: this.rng.next() * Math.PI * 2,
+                rotationSpeed: (this.rng.next() - 0.5) * 4
             });
         }
     }
@@ -145,7 +158,7 @@ class ParticleSystem {
         
         // Handle array of colors
         const color = Array.isArray(config.color) 
-            ? config.color[Math.floor(Math.random() * config.color.length)]
+            ? config.color[Math.floor(this.rng.next() * config.color.length)]
             : config.color;
         
         this.emit({
@@ -237,7 +250,11 @@ class ParticleSystem {
 
     render() {
         this.ctx.clearRect(0, 0, this.width, this.height);
-        
+        this.draw();
+    }
+
+    // Draw particles without clearing, e.g. inside a host game's camera transform
+    draw() {
         // Enable additive blending for glow effect
         this.ctx.globalCompositeOperation = 'lighter';
         
@@ -297,7 +314,7 @@ class ParticleSystem {
         const points = 6;
         for (let i = 0; i < points; i++) {
             const angle = (i / points) * Math.PI * 2;
-            const radius = size * (0.5 + Math.random() * 0.5);
+            const radius = size * (0.5 + this.rng.next() * 0.5);
             const x = Math.cos(angle) * radius;
             const y = Math.sin(angle) * radius;
             
@@ -372,7 +389,7 @@ class ParticleSystem {
 
     renderEmber(p, size, alpha) {
         // Flickering ember
-        const flicker = 0.7 + Math.random() * 0.3;
+        const flicker = 0.7 + this.rng.next() * 0.3;
         const actualAlpha = alpha * flicker;
         
         const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 2);
@@ -414,16 +431,16 @@ class ParticleSystem {
         
         for (let i = 0; i < count; i++) {
             const particleAngle = angle - arcWidth/2 + (arcWidth * i / count);
-            const speed = 200 + Math.random() * 100;
+            const speed = 200 + this.rng.next() * 100;
             
             this.particles.push({
                 x: x + Math.cos(particleAngle) * 20,
                 y: y + Math.sin(particleAngle) * 20,
                 vx: Math.cos(particleAngle) * speed,
                 vy: Math.sin(particleAngle) * speed,
-                size: 3 + Math.random() * 4,
-                initialSize: 3 + Math.random() * 4,
-                lifetime: 0.3 + Math.random() * 0.2,
+                size: 3 + this.rng.next() * 4,
+                initialSize: 3 + this.rng.next() * 4,
+                lifetime: 0.3 + this.rng.next() * 0.2,
                 age: 0,
                 color: this.parseColor(color),
                 type: ParticleSystem.TYPES.SPARK,
@@ -454,6 +471,27 @@ class ParticleSystem {
         this.createShockwave(x, y, '#ffd700', 150);
     }
 
+    /* ============================================
+       EVENT BUS
+       ============================================ */
+    
+    bindEvents(bus = window.eventBus) {
+        const EVENTS = EventBus.EVENTS;
+        
+        bus.on(EVENTS.FX_BURST, ({ x, y, type, intensity = 1 }) => {
+            this.emitBurst(x, y, type, intensity);
+        });
+        bus.on(EVENTS.FX_IMPACT, ({ x, y, intensity = 1 }) => {
+            this.createImpactEffect(x, y, intensity);
+        });
+        bus.on(EVENTS.FX_SLASH, ({ x, y, angle, color }) => {
+            this.createSlashEffect(x, y, angle, color);
+        });
+        bus.on(EVENTS.FX_LEVEL_UP, ({ x, y }) => {
+            this.createLevelUpEffect(x, y);
+        });
+    }
+
     /* ============================================
        LOOP
        ============================================ */
@@ -525,6 +563,7 @@ class ScreenShake {
         this.intensity = 0;
         this.decay = 5;
         this.isShaking = false;
+        this.rng = ParticleSystem.cosmeticRandom();
     }
 
     shake(intensity = 1, duration = 0.5) {
@@ -544,8 +583,8 @@ class ScreenShake {
             return;
         }
         
-        const x = (Math.random() - 0.5) * this.intensity;
-        const y = (Math.random() - 0.5) * this.intensity;
+        const x = (this.rng.next() - 0.5) * this.intensity;
+        const y = (this.rng.next() - 0.5) * this.intensity;
         
         this.element.style.transform = `translate(${x}px, ${y}px)`;
         this.intensity -= this.decay * 0.016; // Approx 60fps
@@ -606,6 +645,7 @@ class Camera {
         this.offsetY = options.offsetY || 0;
         this.bounds = options.bounds || null;
         this.shake = { x: 0, y: 0, intensity: 0 };
+        this.rng = options.rng || ParticleSystem.cosmeticRandom();
     }
 
     follow(targetX, targetY) {
@@ -613,6 +653,14 @@ class Camera {
         this.targetY = targetY + this.offsetY;
     }
 
+    // Jump straight to a target without smoothing (e.g. on respawn)
+    snapTo(targetX, targetY) {
+        this.follow(targetX, targetY);
+        this.x = this.targetX;
+        this.y = this.targetY;
+        this.applyBounds();
+    }
+
     update() {
         // Smooth follow
         this.x += (this.targetX - this.x) * this.smoothness;
@@ -620,8 +668,8 @@ class Camera {
         
         // Apply shake
         if (this.shake.intensity > 0) {
-            this.shake.x = (Math.random() - 0.5) * this.shake.intensity;
-            this.shake.y = (Math.random() - 0.5) * this.shake.intensity;
+            this.shake.x = (this.rng.next() - 0.5) * this.shake.intensity;
+            this.shake.y = (this.rng.next() - 0.5) * this.shake.intensity;
             this.shake.intensity *= 0.9;
             
             if (this.shake.intensity < 0.5) {
@@ -631,7 +679,10 @@ class Camera {
             }
         }
         
-        // Apply bounds
+        this.applyBounds();
+    }
+
+    applyBounds() {
         if (this.bounds) {
             this.x = Math.max(this.bounds.left, Math.min(this.x, this.bounds.right));
             this.y = Math.max(this.bounds.top, Math.min(this.y, this.bounds.bottom));
@@ -0,0 +1,193 @@
+/**
+ * Abyss Walker - Event Bus
+ * Single publish/subscribe channel shared by the game, UI, audio and effects
+ */
+
+class EventBus {
+  constructor() {
+    this.handlers = new Map();
+    this.taps = [];
+    this.debugTap = null;
+
+    // Enable traffic logging with localStorage.setItem('abyssDebugEvents', 'true')
+    try {
+      if (localStorage.getItem('abyssDebugEvents') === 'true') {
+        this.setDebug(true);
+      }
+    } catch (err) {
+      // Storage may be unavailable (private mode)
+    }
+  }
+
+  // Event names and their payloads
+  static EVENTS = {
+    // Game lifecycle
+    GAME_READY: 'game:ready',             // {}
+    GAME_PAUSE: 'game:pause',             // {}
+    GAME_RESUME: 'game:resume',           // {}
+    GAME_OVER: 'game:over',               // { score, enemiesKilled, soulsEarned, timeSurvived, bestCombo, level, wave, floor, seed }
+    RUN_START: 'run:start',               // {}
+
+    // Input from UI layers (UIController, TouchControls)
+    INPUT_ACTION: 'input:action',         // { action: 'attack'|'defend'|'action'|'jump'|'special'|'item'|'assign'|'choose'|'restart'|'nextLevel', slot?, item? }
+    INPUT_JOYSTICK: 'input:joystick',     // { x, y } normalized -1..1, both 0 when released
+
+    // Device input resolved to actions (systems/input-map.js)
+    INPUT_PRESSED: 'input:pressed',       // { action, device: 'keyboard'|'mouse'|'gamepad', source: 'keyboard'|'gamepad:N' }
+    INPUT_RELEASED: 'input:released',     // { action, device, source, duration } seconds held
+    INPUT_BINDINGS: 'input:bindings',     // { device, action, inputs } action and inputs null after a reset
+    INPUT_DEVICE: 'input:device',         // { device: 'keyboard'|'mouse'|'gamepad'|'touch', previous }
+    INPUT_GAMEPAD: 'input:gamepad',       // { index, id, source, connected }
+
+    // Settings
+    SETTINGS_VOLUME: 'settings:volume',   // { type: 'master'|'music'|'sfx', value: 0..1 }
+    SETTINGS_MUTE: 'settings:mute',       // { muted }
+
+    // Waves
+    WAVE_START: 'wave:start',             // { wave, count, speedMultiplier }
+    WAVE_CLEAR: 'wave:clear',             // { wave, duration, nextWaveIn }
+
+    // Levels
+    LEVEL_LOADED: 'level:loaded',         // { level, name, width, height, difficulty, seed }
+    LEVEL_TRIGGER: 'level:trigger',       // { level, name, action, properties }
+    CHEST_OPENED: 'chest:opened',         // { x, y, souls }
+    PICKUP_COLLECTED: 'pickup:collected', // { slot, kind: 'soul'|'health'|'item', item, amount, x, y }
+
+    // Replays
+    REPLAY_LOAD: 'replay:load',           // { text } contents of a replay file
+    REPLAY_CONTROL: 'replay:control',     // { command: 'export'|'speed'|'seek'|'stop', value? }
+    REPLAY_STATE: 'replay:state',         // { state, tick, ticks, time, duration, speed, seeking }
+
+    // Combat
+    COMBAT_SWING: 'combat:swing',         // { x, y, angle }
+    COMBAT_BLOCK: 'combat:block',         // { x, y, amount }
+    COMBAT_PARRY: 'combat:parry',         // { x, y }
+    ENEMY_HIT: 'enemy:hit',               // { type, x, y, damage, health }
+    ENEMY_KILLED: 'enemy:killed',         // { type, x, y }
+    PLAYER_DAMAGED: 'player:damaged',     // { slot, amount, health, maxHealth }
+    PLAYER_HEALED: 'player:healed',       // { slot, amount, health, maxHealth }
+    PLAYER_DIED: 'player:died',           // { x, y }
+    PLAYER_DASH: 'player:dash',           // { slot, x, y, angle, cooldown } seconds
+    PLAYER_HOP: 'player:hop',             // { slot, x, y, cooldown } seconds
+
+    // Items (systems/inventory.js)
+    INVENTORY_CHANGED: 'inventory:changed', // { slot, quickSlots: [{ item, name, icon, count }|null], items: [...] }
+    ITEM_USED: 'item:used',               // { slot, quickSlot, item, count, cooldown } quickSlot counts from 0
+    ITEM_COOLDOWNS: 'item:cooldowns',     // { slot, quickSlots: [{ item, remaining, cooldown }|null] } every tick one runs
+
+    // Experience and upgrades (systems/progression.js)
+    XP_CHANGED: 'xp:changed',             // { xp, required, level, amount } party XP toward the next level
+    PLAYER_LEVEL_UP: 'player:levelup',    // { level }
+    UPGRADE_OFFER: 'upgrade:offer',       // { slot, level, choices: [{ id, name, icon, description }] }
+    UPGRADE_CHOSEN: 'upgrade:chosen',     // { slot, id, name, stacks }
+
+    // Mana and abilities (systems/abilities.js)
+    MANA_CHANGED: 'mana:changed',         // { slot, mana, maxMana }
+    ABILITY_SELECTED: 'ability:selected', // { slot, id, name, icon, cost, cooldown, remaining } seconds
+    PLAYER_SPECIAL: 'player:special',     // { slot, ability, x, y, angle, cooldown } seconds
+    ABILITY_COOLDOWN: 'ability:cooldown', // { slot, id, remaining, cooldown } selected ability, every tick it runs
+
+    // Combos and score (systems/scoring.js)
+    COMBO_CHANGED: 'combo:changed',       // { slot, combo, best, multiplier } combo 0 when it drops
+    SCORE_CHANGED: 'score:changed',       // { slot, score, points, multiplier, total } total for the party
+
+    // Status effects (systems/status-effects.js)
+    STATUS_APPLIED: 'status:applied',     // { id, slot, type, x, y, stacks, duration } slot null for enemies
+    STATUS_ENDED: 'status:ended',         // { id, slot, type, x, y }
+
+    // Bosses (systems/boss.js)
+    BOSS_START: 'boss:start',             // { id, name, health, phases }
+    BOSS_PHASE: 'boss:phase',             // { id, phase, health, maxHealth } phase counts from 1
+    BOSS_DEFEATED: 'boss:defeated',       // { id, name, x, y, time, timeSurvived, damageDealt, soulsEarned, floor, replay }
+
+    // Local co-op (systems/coop.js)
+    PLAYER_JOINED: 'player:joined',       // { slot, color }
+    PLAYER_LEFT: 'player:left',           // { slot }
+    PLAYER_DOWNED: 'player:downed',       // { slot, x, y }
+    PLAYER_REVIVED: 'player:revived',     // { slot, x, y, health, maxHealth, respawned }
+
+    // Visual effects (world coordinates)
+    FX_BURST: 'fx:burst',                 // { x, y, type: ParticleSystem.TYPES.*, intensity }
+    FX_IMPACT: 'fx:impact',               // { x, y, intensity }
+    FX_SLASH: 'fx:slash',                 // { x, y, angle, color? }
+    FX_LEVEL_UP: 'fx:levelup'             // { x, y }
+  };
+
+  // Subscribe to an event. Returns an unsubscribe function.
+  on(name, handler) {
+    if (!this.handlers.has(name)) {
+      this.handlers.set(name, []);
+    }
+    this.handlers.get(name).push(handler);
+
+    return () => this.off(name, handler);
+  }
+
+  once(name, handler) {
+    const off = this.on(name, (payload) => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  off(name, handler) {
+    const list = this.handlers.get(name);
+    if (!list) return;
+
+    const index = list.indexOf(handler);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  emit(name, payload = {}) {
+    this.taps.forEach(tap => tap(name, payload));
+
+    const list = this.handlers.get(name);
+    if (!list) return;
+
+    // Copy so handlers can unsubscribe while being called
+    list.slice().forEach(handler => {
+      try {
+        handler(payload);
+      } catch (err) {
+        console.error(`[EventBus] Handler for "${name}" failed:`, err);
+      }
+    });
+  }
+
+  // Observe all traffic. Returns a function that removes the tap.
+  tap(fn) {
+    this.taps.push(fn);
+    return () => {
+      this.taps = this.taps.filter(t => t !== fn);
+    };
+  }
+
+  setDebug(enabled) {
+    if (enabled && !this.debugTap) {
+      const known = new Set(Object.values(EventBus.EVENTS));
+      this.debugTap = this.tap((name, payload) => {
+        if (!known.has(name)) {
+          console.warn('[EventBus] Unknown event:', name, payload);
+        } else {
+          console.log('[EventBus]', name, payload);
+        }
+      });
+    } else if (!enabled && this.debugTap) {
+      this.debugTap();
+      this.debugTap = null;
+    }
+  }
+
+  get isDebug() {
+    return this.debugTap !== null;
+  }
+}
+
+// Shared instance, created before any module subscribes
+window.eventBus = new EventBus();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventBus;
+}
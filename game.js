@@ -23,29 +23,142 @@ class Game {
     this.targetFps = 60;
     this.targetFrameTime = 1000 / this.targetFps;
     
+    // Fixed-step simulation: update() always advances by fixedStep seconds,
+    // render() interpolates between the last two steps by alpha
+    this.fixedStep = 1 / 60;
+    this.maxStepsPerFrame = 5;
+    this.accumulator = 0;
+    this.alpha = 1;
+    this.tick = 0;
+    this.interpolated = [];
+    
     // Game dimensions (internal resolution)
     this.gameWidth = 1280;
     this.gameHeight = 720;
     
-    // Camera
-    this.camera = { x: 0, y: 0 };
+    // World size (the playable area, larger than the viewport)
+    this.worldWidth = 3200;
+    this.worldHeight = 2400;
+    
+    // Camera (effects/particles.js) centred on its follow target
+    this.camera = new Camera({
+      smoothness: 0.1,
+      offsetX: -this.gameWidth / 2,
+      offsetY: -this.gameHeight / 2
+    });
+    this.setWorldSize(this.worldWidth, this.worldHeight);
+    
+    // Level maps (Tiled JSON, systems/tilemap.js), loaded by number from 1.
+    // Hand-made maps come first; deeper floors are generated from the run seed.
+    this.levels = ['./levels/level-1.json', './levels/level-2.json'];
+    this.dungeon = new DungeonGenerator();
+    this.runSeed = SeededRandom.randomSeed();
+    this.level = null;
+    this.levelNumber = 0;
+    this.levelRequest = 0;
+    this.levelLoading = false;
+    this.levelLoad = null;
+    this.activeTriggers = new Set();
+    
+    // Enemy difficulty grows with each floor descended
+    this.difficulty = 1;
+    this.difficultyPerFloor = 0.15;
+    
+    // Keyboard, mouse and gamepad resolved to actions (systems/input-map.js)
+    this.inputMap = window.inputMap;
     
     // Input state
     this.input = {
-      keys: {},
       mouse: { x: 0, y: 0, down: false },
       touch: { active: false, x: 0, y: 0 },
-      gamepad: { index: null, buttons: {} }
+      joystick: { active: false, x: 0, y: 0 },
+      
+      // Last gamepad aim angle (radians) per player slot, kept while the
+      // right stick rests
+      stickAim: [],
+      
+      // Actions pressed since the last simulation tick, per player slot
+      actions: [],
+      
+      // Quick-slot changes since the last simulation tick, per player slot:
+      // [quickSlot, itemId] pairs
+      assignments: []
     };
     
-    // Game entities
-    this.player = null;
+    // Distance of the gamepad aim point from the player (pixels)
+    this.stickAimDistance = 200;
+    
+    // Shared event bus (event-bus.js)
+    this.events = window.eventBus;
+    
+    // Seeded random streams (systems/random.js). Gameplay outcomes draw only
+    // from the gameplay stream; cosmetic particles use their own.
+    this.random = window.random;
+    this.rng = this.random.gameplay;
+    this.fxRng = this.random.particles;
+    
+    // Game entities. Players are ordered by slot; slot 0 is always present.
+    this.players = [];
     this.entities = [];
     this.particles = [];
+    
+    // Richer visual effects, drawn into the game canvas in world space
+    this.effects = new ParticleSystem(this.canvas, { autoResize: false });
 
-    // Enemy (zombie) spawning
-    this.enemySpawnTimer = 0;
-    this.enemySpawnInterval = 2.0;
+    // Enemy types and behaviours
+    this.enemySystem = new EnemySystem(this);
+    
+    // Flow field and crowd steering for enemies
+    this.pathfinding = new PathfindingSystem(this);
+    
+    // Floor bosses, fought at the exit
+    this.bossSystem = new BossSystem(this);
+    
+    // Pooled bullets and bolts for both sides
+    this.projectiles = new ProjectileSystem(this);
+    
+    // Souls, health orbs and item drops
+    this.pickups = new PickupSystem(this);
+    
+    // Item stacks, quick slots and buffs
+    this.inventory = new InventorySystem(this);
+    
+    // Party XP, levels and upgrade picks
+    this.progression = new ProgressionSystem(this);
+    
+    // Mana and special abilities
+    this.abilities = new AbilitySystem(this);
+    
+    // Hit combos and score multipliers
+    this.scoring = new ScoringSystem(this);
+    
+    // Poison, burn, slow, stun and bleed on players and enemies
+    this.statusEffects = new StatusEffectSystem(this);
+    
+    // Enemy spawning, driven by waves
+    this.waveDirector = new WaveDirector(this);
+    
+    // Collision detection and response
+    this.collisions = new CollisionSystem();
+    
+    // Melee combat
+    this.combat = new CombatSystem(this);
+    
+    // Walking, dashes and hops
+    this.movement = new MovementSystem(this);
+    
+    // Local co-op: player slots, join screen, revives
+    this.coop = new CoopSystem(this);
+    
+    // Input recording and deterministic playback
+    this.replay = new ReplaySystem(this);
+    this.liveFixedStep = this.fixedStep;
+    
+    // Run lifecycle: 'playing' -> 'dying' -> 'gameover'
+    this.runState = 'playing';
+    this.runStats = null;
+    this.deathTimer = 0;
+    this.deathDuration = 1.5;
     
     // Background sync for high scores
     this.pendingSync = false;
@@ -60,12 +173,14 @@ class Game {
     this.setupCanvas();
     this.setupEventListeners();
     this.setupVisibilityHandling();
-    this.createPlayer();
+    this.setupEventBus();
     this.resize();
+    this.startRun();
+    this.loadLevel(1);
     
-    // Dispatch game ready event
+    // Announce game ready
     setTimeout(() => {
-      window.dispatchEvent(new Event('game-ready'));
+      this.events.emit(EventBus.EVENTS.GAME_READY);
     }, 1500);
     
     // Start game loop
@@ -82,42 +197,32 @@ class Game {
   }
   
   setupEventListeners() {
-    // Keyboard input
-    window.addEventListener('keydown', (e) => {
-      this.input.keys[e.code] = true;
-      
-      // Prevent default for game keys
-      if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space', 'KeyW', 'KeyA', 'KeyS', 'KeyD'].includes(e.code)) {
-        e.preventDefault();
-      }
-      
-      // Pause toggle
-      if (e.code === 'Escape' || e.code === 'KeyP') {
-        this.togglePause();
-      }
-    });
-    
-    window.addEventListener('keyup', (e) => {
-      this.input.keys[e.code] = false;
-    });
-    
-    // Mouse input
+    // Keyboard and gamepad buttons are handled by the input map; mouse
+    // buttons count only on the canvas, so they are forwarded from here
     this.canvas.addEventListener('mousedown', (e) => {
       this.input.mouse.down = true;
       this.updateMousePosition(e);
+      this.inputMap.setInput(InputMap.DEVICES.MOUSE, e.button, true);
     });
     
+    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    
     this.canvas.addEventListener('mousemove', (e) => {
       this.updateMousePosition(e);
     });
     
-    this.canvas.addEventListener('mouseup', () => {
+    this.canvas.addEventListener('mouseup', (e) => {
       this.input.mouse.down = false;
+      this.inputMap.setInput(InputMap.DEVICES.MOUSE, e.button, false);
     });
     
     // Touch input (basic)
     this.canvas.addEventListener('touchstart', (e) => {
       e.preventDefault();
+      if (this.runState === 'gameover') {
+        this.restart();
+        return;
+      }
       this.input.touch.active = true;
       const touch = e.touches[0];
       const rect = this.canvas.getBoundingClientRect();
@@ -137,22 +242,47 @@ class Game {
       this.input.touch.active = false;
     });
     
-    // Gamepad connect/disconnect
-    window.addEventListener('gamepadconnected', (e) => {
-      console.log('[Gamepad] connected:', e.gamepad.id);
-      this.input.gamepad.index = e.gamepad.index;
-    });
-    window.addEventListener('gamepaddisconnected', (e) => {
-      if (this.input.gamepad.index === e.gamepad.index) {
-        this.input.gamepad.index = null;
-        this.input.gamepad.buttons = {};
-      }
-    });
 
     // Window resize
     window.addEventListener('resize', () => this.resize());
   }
   
+  setupEventBus() {
+    const EVENTS = EventBus.EVENTS;
+    
+    // Actions from touch buttons and the DOM UI layer
+    this.events.on(EVENTS.INPUT_ACTION, ({ action, slot, item }) => {
+      this.handleAction(action, { slot, item });
+    });
+    
+    // Keyboard, mouse and gamepad actions from the input map
+    this.events.on(EVENTS.INPUT_PRESSED, ({ action, source }) => {
+      this.handleInputPressed(action, source);
+    });
+    
+    // Pads coming and going drive co-op join and leave
+    this.events.on(EVENTS.INPUT_GAMEPAD, (detail) => {
+      this.coop.onGamepad(detail);
+    });
+    
+    // Virtual joystick vector from TouchControls or UIController
+    this.events.on(EVENTS.INPUT_JOYSTICK, ({ x, y }) => {
+      this.input.joystick.x = x;
+      this.input.joystick.y = y;
+      this.input.joystick.active = x !== 0 || y !== 0;
+    });
+    
+    // Replays loaded and controlled from the DOM UI layer
+    this.events.on(EVENTS.REPLAY_LOAD, ({ text }) => {
+      this.playReplay(text).catch(err => console.error('[Game] Failed to load replay:', err));
+    });
+    this.events.on(EVENTS.REPLAY_CONTROL, ({ command, value }) => {
+      this.handleReplayCommand(command, value);
+    });
+    
+    this.effects.bindEvents(this.events);
+  }
+  
   updateMousePosition(e) {
     const rect = this.canvas.getBoundingClientRect();
     const scaleX = this.gameWidth / rect.width;
@@ -186,20 +316,323 @@ class Game {
     });
   }
   
-  createPlayer() {
-    this.player = {
-      x: this.gameWidth / 2,
-      y: this.gameHeight / 2,
+  setWorldSize(width, height) {
+    this.worldWidth = width;
+    this.worldHeight = height;
+    
+    // Worlds smaller than the viewport are centred instead of scrolled
+    const spanX = width - this.gameWidth;
+    const spanY = height - this.gameHeight;
+    this.camera.bounds = {
+      left: Math.min(0, spanX / 2),
+      right: spanX > 0 ? spanX : spanX / 2,
+      top: Math.min(0, spanY / 2),
+      bottom: spanY > 0 ? spanY : spanY / 2
+    };
+  }
+  
+  screenToWorld(x, y) {
+    return { x: x + this.camera.x, y: y + this.camera.y };
+  }
+  
+  getViewBounds(margin = 0) {
+    return {
+      left: this.camera.x - margin,
+      top: this.camera.y - margin,
+      right: this.camera.x + this.gameWidth + margin,
+      bottom: this.camera.y + this.gameHeight + margin
+    };
+  }
+  
+  /* Levels */
+  
+  // Loads level N: a hand-made map, or a generated floor past the last one.
+  // The simulation is held until it is ready so loading time never changes a run.
+  loadLevel(number) {
+    this.levelLoading = true;
+    this.levelLoad = this.fetchLevel(number, ++this.levelRequest);
+    return this.levelLoad;
+  }
+  
+  async fetchLevel(number, request) {
+    try {
+      const map = number <= this.levels.length
+        ? await Tilemap.load(this.levels[number - 1])
+        : new Tilemap(this.dungeon.generate(this.runSeed, number));
+      
+      // A newer request started while this one was loading
+      if (request !== this.levelRequest) return;
+      this.setLevel(map, number);
+    } catch (err) {
+      console.error(`[Game] Failed to load level ${number}:`, err);
+    } finally {
+      if (request === this.levelRequest) this.levelLoading = false;
+    }
+  }
+  
+  setLevel(map, number) {
+    this.level = map;
+    this.levelNumber = number;
+    this.difficulty = 1 + (number - 1) * this.difficultyPerFloor;
+    this.setWorldSize(map.pixelWidth, map.pixelHeight);
+    this.resetLevel();
+    
+    console.log(`[Game] Level ${number} loaded: ${map.name}`);
+    this.events.emit(EventBus.EVENTS.LEVEL_LOADED, {
+      level: number,
+      name: map.name,
+      width: map.pixelWidth,
+      height: map.pixelHeight,
+      difficulty: this.difficulty,
+      seed: this.runSeed
+    });
+  }
+  
+  // Puts the current level back in its starting state
+  resetLevel() {
+    this.entities = [];
+    this.projectiles.clear();
+    this.pickups.clear();
+    this.movement.clear();
+    this.activeTriggers = new Set();
+    if (this.level) {
+      this.level.chests.forEach(chest => this.spawnChest(chest));
+    }
+    this.placePlayers();
+    this.bossSystem.reset();
+    this.waveDirector.difficulty = this.difficulty;
+    this.waveDirector.start();
+  }
+  
+  // One floor deeper
+  descend() {
+    this.loadLevel(this.levelNumber + 1);
+  }
+  
+  // Fresh run from level 1; the same seed always generates the same floors
+  newRun(seed = SeededRandom.randomSeed()) {
+    this.runSeed = String(seed);
+    this.restart();
+    this.loadLevel(1);
+  }
+  
+  getSpawnPosition() {
+    return this.level?.playerSpawn || { x: this.worldWidth / 2, y: this.worldHeight / 2 };
+  }
+  
+  // Everyone still in the run regroups at the spawn point, offset by slot
+  placePlayers() {
+    const spawn = this.getSpawnPosition();
+    this.getActivePlayers().forEach(p => {
+      const [dx, dy] = CoopSystem.OFFSETS[p.slot];
+      p.x = spawn.x + dx;
+      p.y = spawn.y + dy;
+      this.movement.stop(p);
+      this.snapInterpolation(p);
+    });
+    
+    const focus = this.coop.getFocus();
+    this.camera.snapTo(focus.x, focus.y);
+    this.snapInterpolation(this.camera);
+  }
+  
+  updateTriggers() {
+    if (!this.level) return;
+    
+    // Fire once on any player entering a trigger region
+    const inside = new Set();
+    this.getLivePlayers().forEach(p => {
+      this.level.getTriggersAt(p.x, p.y).forEach(trigger => inside.add(trigger));
+    });
+    inside.forEach(trigger => {
+      if (!this.activeTriggers.has(trigger)) this.onTrigger(trigger);
+    });
+    this.activeTriggers = inside;
+  }
+  
+  onTrigger(trigger) {
+    this.events.emit(EventBus.EVENTS.LEVEL_TRIGGER, {
+      level: this.levelNumber,
+      name: trigger.name,
+      action: trigger.action,
+      properties: trigger.properties
+    });
+    
+    if (trigger.action === 'exit' || trigger.action === 'descend') {
+      // The floor's boss bars the way down until it is defeated
+      if (this.bossSystem.guardsExit()) {
+        this.bossSystem.start();
+      } else {
+        this.descend();
+      }
+    }
+  }
+  
+  getStaticBodies() {
+    return this.level ? this.level.getColliders() : [];
+  }
+  
+  createPlayer(slot = 0) {
+    const player = {
+      type: 'player',
+      slot,
+      x: this.worldWidth / 2,
+      y: this.worldHeight / 2,
       width: 32,
       height: 32,
       speed: 200,
-      color: '#667eea',
+      color: CoopSystem.COLORS[slot],
       vx: 0,
       vy: 0,
       angle: 0,
       health: 100,
-      maxHealth: 100
+      maxHealth: 100,
+      
+      // Per-player results
+      score: 0,
+      kills: 0,
+      
+      // Scoring (see ScoringSystem): the hit combo and seconds left on it,
+      // the best combo this run, seconds since last taking damage, and the
+      // chain of quick kills with seconds left to extend it
+      combo: 0,
+      comboTimer: 0,
+      bestCombo: 0,
+      streak: 0,
+      killChain: 0,
+      killTimer: 0,
+      
+      // Loot: pickups inside this radius fly to the player
+      magnetRadius: 110,
+      
+      // Inventory (see InventorySystem): stacks by item id, the item id in
+      // each quick slot, item cooldowns, timed buffs and the ward's shield
+      items: {},
+      quickSlots: new Array(InventorySystem.SLOT_COUNT).fill(null),
+      itemCooldowns: {},
+      buffs: [],
+      shield: 0,
+      
+      // Upgrades taken by id (see ProgressionSystem), and the abilities
+      // some of them grant
+      upgrades: {},
+      lifesteal: 0,
+      regeneration: 0,
+      regenProgress: 0,
+      
+      // Mana, known abilities, the one the special action casts and their
+      // cooldowns (see AbilitySystem.equip)
+      mana: 0,
+      maxMana: 0,
+      manaRegen: 0,
+      abilities: [],
+      selectedAbility: 0,
+      abilityCooldowns: {},
+      
+      // Co-op: left the run, or downed and waiting for a revive or respawn
+      left: false,
+      downed: false,
+      reviveProgress: 0,
+      respawnTimer: 0,
+      
+      // Input source that last moved or acted for this player (live only)
+      lastSource: null,
+      
+      // Combat stats
+      attackDamage: CombatSystem.DEFAULTS.attackDamage,
+      attackRange: CombatSystem.DEFAULTS.attackRange,
+      attackArc: CombatSystem.DEFAULTS.attackArc,
+      attackKnockback: CombatSystem.DEFAULTS.attackKnockback,
+      attackCooldown: CombatSystem.DEFAULTS.attackCooldown,
+      guardDuration: CombatSystem.DEFAULTS.guardDuration,
+      parryWindow: CombatSystem.DEFAULTS.parryWindow,
+      blockReduction: CombatSystem.DEFAULTS.blockReduction,
+      guardArc: CombatSystem.DEFAULTS.guardArc,
+      defendCooldown: CombatSystem.DEFAULTS.defendCooldown,
+      specialDamage: CombatSystem.DEFAULTS.specialDamage,
+      specialBolts: CombatSystem.DEFAULTS.specialBolts,
+      specialSpread: CombatSystem.DEFAULTS.specialSpread,
+      specialSpeed: CombatSystem.DEFAULTS.specialSpeed,
+      attackInflicts: null,
+      
+      // Movement stats (see MovementSystem)
+      acceleration: MovementSystem.DEFAULTS.acceleration,
+      friction: MovementSystem.DEFAULTS.friction,
+      dashSpeed: MovementSystem.DEFAULTS.dashSpeed,
+      dashDuration: MovementSystem.DEFAULTS.dashDuration,
+      dashCooldown: MovementSystem.DEFAULTS.dashCooldown,
+      dashInvulnerable: MovementSystem.DEFAULTS.dashInvulnerable,
+      hopDuration: MovementSystem.DEFAULTS.hopDuration,
+      hopHeight: MovementSystem.DEFAULTS.hopHeight,
+      hopCooldown: MovementSystem.DEFAULTS.hopCooldown,
+      
+      // Movement timers: dash direction and time left, hop time left and
+      // height off the ground, and both cooldowns
+      dashX: 0,
+      dashY: 0,
+      dashTime: 0,
+      dashTimer: 0,
+      hopTime: 0,
+      hopTimer: 0,
+      z: 0,
+      
+      // Combat timers
+      attackTimer: 0,
+      defendTimer: 0,
+      guardTime: 0,
+      guardElapsed: 0,
+      invulnerable: 0,
+      stunned: 0,
+      
+      // Status effects (see StatusEffectSystem): active ones by id, seconds
+      // of immunity left after one ended, and ids never taken
+      statuses: {},
+      statusImmunity: {},
+      immune: [],
+      
+      collider: CollisionSystem.circle(16, {
+        layer: CollisionSystem.LAYERS.PLAYER,
+        mask: CollisionSystem.LAYERS.ENEMY | CollisionSystem.LAYERS.ENEMY_PROJECTILE |
+              CollisionSystem.LAYERS.WALL | CollisionSystem.LAYERS.PICKUP,
+        mass: 2
+      })
     };
+    
+    this.abilities.equip(player);
+    this.inventory.stock(player);
+    return player;
+  }
+  
+  // Player one (slot 0), who is always in the run
+  get player() {
+    return this.players[0];
+  }
+  
+  getPlayer(slot) {
+    return this.players.find(p => p.slot === slot) || null;
+  }
+  
+  // In the run, downed or not
+  getActivePlayers() {
+    return this.players.filter(p => !p.left);
+  }
+  
+  // In the run and on their feet
+  getLivePlayers() {
+    return this.players.filter(p => !p.left && !p.downed && p.health > 0);
+  }
+  
+  getNearestPlayer(x, y) {
+    let nearest = null;
+    let best = Infinity;
+    this.getLivePlayers().forEach(p => {
+      const distance = Math.hypot(p.x - x, p.y - y);
+      if (distance < best) {
+        best = distance;
+        nearest = p;
+      }
+    });
+    return nearest;
   }
   
   resize() {
@@ -243,6 +676,7 @@ class Game {
     if (!this.isPaused) {
       this.isPaused = true;
       console.log('[Game] Paused');
+      this.events.emit(EventBus.EVENTS.GAME_PAUSE);
     }
   }
   
@@ -250,11 +684,15 @@ class Game {
     if (this.isPaused) {
       this.isPaused = false;
       this.lastTime = performance.now(); // Reset to prevent large delta
+      this.accumulator = 0;
       console.log('[Game] Resumed');
+      this.events.emit(EventBus.EVENTS.GAME_RESUME);
     }
   }
   
   togglePause() {
+    if (this.runState === 'gameover') return;
+    
     if (this.isPaused) {
       this.resume();
     } else {
@@ -281,6 +719,9 @@ class Game {
     this.totalTime += this.deltaTime;
     this.frameCount++;
     
+    // Poll the gamepad even while paused so it can resume
+    this.inputMap.update();
+    
     // Update FPS counter
     if (currentTime - this.lastFpsUpdate > this.fpsUpdateInterval) {
       this.fps = Math.round((this.frameCount * 1000) / (currentTime - this.lastFpsUpdate));
@@ -290,7 +731,7 @@ class Game {
     
     // Only update and render if not paused
     if (!this.isPaused) {
-      this.update(this.deltaTime);
+      this.step(this.deltaTime);
       this.render();
     } else {
       // Still render but don't update (shows pause screen)
@@ -298,14 +739,146 @@ class Game {
     }
   }
   
+  // Runs as many fixed updates as the elapsed time allows
+  step(frameTime) {
+    if (this.isSimulationHeld()) {
+      this.accumulator = 0;
+      this.alpha = 1;
+      return;
+    }
+    
+    // Replays may run faster than real time
+    const speed = this.replay.isPlaying ? this.replay.speed : 1;
+    const maxSteps = Math.max(this.maxStepsPerFrame, Math.ceil(speed) + 1);
+    this.accumulator += frameTime * speed;
+    
+    let steps = 0;
+    while (this.accumulator >= this.fixedStep && steps < maxSteps) {
+      this.simulateTick();
+      this.accumulator -= this.fixedStep;
+      steps++;
+      
+      if (this.isSimulationHeld()) {
+        this.accumulator = 0;
+        break;
+      }
+    }
+    
+    // Too far behind (slow device): drop the backlog instead of spiralling
+    if (steps === maxSteps && this.accumulator >= this.fixedStep) {
+      this.accumulator %= this.fixedStep;
+    }
+    
+    this.alpha = this.accumulator / this.fixedStep;
+  }
+  
+  simulateTick() {
+    this.savePreviousState();
+    this.update(this.fixedStep);
+    this.tick++;
+  }
+  
+  // Waiting for a level, a replay seek, the co-op join screen, or at the end of a replay
+  isSimulationHeld() {
+    return this.levelLoading || this.replay.seeking || this.replay.isFinished || this.coop.joining;
+  }
+  
+  /* Interpolation */
+  
+  getInterpolatedBodies() {
+    return [...this.getActivePlayers(), ...this.entities, ...this.projectiles.active, ...this.pickups.active, this.camera];
+  }
+  
+  savePreviousState() {
+    this.getInterpolatedBodies().forEach(body => {
+      body.prevX = body.x;
+      body.prevY = body.y;
+    });
+  }
+  
+  // Skip interpolation after a teleport so the body doesn't streak across
+  snapInterpolation(body) {
+    body.prevX = body.x;
+    body.prevY = body.y;
+  }
+  
+  // Temporarily moves bodies to their blended position for drawing
+  applyInterpolation() {
+    const alpha = this.alpha;
+    this.interpolated = this.getInterpolatedBodies().filter(body => body.prevX !== undefined);
+    
+    this.interpolated.forEach(body => {
+      body.simX = body.x;
+      body.simY = body.y;
+      body.x = body.prevX + (body.x - body.prevX) * alpha;
+      body.y = body.prevY + (body.y - body.prevY) * alpha;
+    });
+  }
+  
+  restoreInterpolation() {
+    this.interpolated.forEach(body => {
+      body.x = body.simX;
+      body.y = body.simY;
+    });
+    this.interpolated = [];
+  }
+  
   update(dt) {
-    // Update player
-    this.updatePlayer(dt);
+    const playing = this.runState === 'playing';
+    const frame = this.readInputFrame();
+    
+    // The world waits while players pick their level-up upgrades. The frame's
+    // queues are already drained, so joins, leaves and quick-slot changes
+    // still go through rather than being lost.
+    if (playing && this.progression.choosing) {
+      this.coop.applyRoster(frame);
+      this.getActivePlayers().forEach(p => this.applyAssignments(p, frame.players[p.slot]));
+      this.progression.handleChoices(frame);
+      this.effects.update(dt);
+      return;
+    }
+    
+    if (playing) {
+      // Players joining or leaving, then everyone's input
+      this.coop.applyRoster(frame);
+      this.getLivePlayers().forEach(p => this.updatePlayer(p, dt, frame.players[p.slot]));
+      this.coop.leash();
+      this.coop.update(dt);
+      this.combat.update(dt);
+      this.movement.update(dt);
+      this.inventory.update(dt);
+      this.statusEffects.update(dt);
+      this.abilities.update(dt);
+      this.progression.update(dt);
+      this.scoring.update(dt);
+      this.updateRunStats(dt);
+    } else if (this.updateRunEnd(dt, frame)) {
+      // A new run started; it begins on the next tick
+      return;
+    }
+    
+    // Spawn enemies for the current wave
+    this.waveDirector.update(dt);
     
-    // Update entities
+    // Refresh the flow field toward the players, then update entities
+    this.pathfinding.update();
     this.entities.forEach(entity => {
       if (entity.update) entity.update(dt);
     });
+    this.projectiles.update(dt);
+    this.pickups.update(dt);
+    
+    // Resolve overlaps between player, enemies, projectiles and level walls
+    const bodies = playing ? [...this.getLivePlayers(), ...this.entities] : this.entities;
+    this.collisions.update(bodies.concat(this.getStaticBodies()));
+    
+    if (playing) {
+      this.updateTriggers();
+      this.updateFallen();
+    }
+    
+    // Remove dead entities
+    this.entities = this.entities.filter(entity => !entity.dead);
     
     // Update particles
     this.particles = this.particles.filter(p => {
@@ -314,150 +887,389 @@ class Game {
       p.y += p.vy * dt;
       return p.life > 0;
     });
+    this.effects.update(dt);
     
     // Update camera to follow player
     this.updateCamera();
   }
   
-  updatePlayer(dt) {
-    const p = this.player;
-    let dx = 0;
-    let dy = 0;
-
-    // Poll gamepad first (if any)
-    const gp = this.pollGamepad();
-    if (gp) {
-      const deadzone = 0.18;
-      const ax = gp.axes?.[0] ?? 0;
-      const ay = gp.axes?.[1] ?? 0;
-      dx = Math.abs(ax) > deadzone ? ax : 0;
-      dy = Math.abs(ay) > deadzone ? ay : 0;
-
-      // D-pad as fallback/override
-      if (gp.buttons?.[14]?.pressed) dx = -1; // left
-      if (gp.buttons?.[15]?.pressed) dx = 1;  // right
-      if (gp.buttons?.[12]?.pressed) dy = -1; // up
-      if (gp.buttons?.[13]?.pressed) dy = 1;  // down
-
-      // Actions
-      if (this.wasButtonPressed(gp, 0)) this.attack(); // A
-      if (this.wasButtonPressed(gp, 1)) this.defend(); // B
-    } else {
-      // Keyboard movement
-      if (this.input.keys['KeyW'] || this.input.keys['ArrowUp']) dy -= 1;
-      if (this.input.keys['KeyS'] || this.input.keys['ArrowDown']) dy += 1;
-      if (this.input.keys['KeyA'] || this.input.keys['ArrowLeft']) dx -= 1;
-      if (this.input.keys['KeyD'] || this.input.keys['ArrowRight']) dx += 1;
-
-      // Virtual joystick input (if available)
-      if (window.touchControls) {
-        const joystick = window.touchControls.getJoystick();
-        if (joystick.active) {
-          dx = joystick.x;
-          dy = joystick.y;
-        }
-      }
+  /* Input */
+  
+  queueAction(action, slot = 0) {
+    if (!this.replay.isActive) this.input.actions[slot].push(action);
+  }
+  
+  clearActions() {
+    this.input.actions = Array.from({ length: CoopSystem.MAX_PLAYERS }, () => []);
+    this.input.assignments = Array.from({ length: CoopSystem.MAX_PLAYERS }, () => []);
+  }
+  
+  // Quick slots change on the next simulation tick, so replays see it too
+  assignQuickSlot(quickSlot, item, slot = 0) {
+    if (!this.replay.isActive) this.input.assignments[slot].push([quickSlot, item]);
+  }
+  
+  handleInputPressed(action, source = InputMap.KEYBOARD_SOURCE) {
+    const ACTIONS = InputMap.ACTIONS;
+    
+    if (this.replay.isActive && this.handleReplayAction(action)) return;
+    
+    if (this.coop.joining) {
+      this.coop.handleJoinInput(action, source);
+      return;
     }
     
-    // Normalize diagonal movement
-    if (dx !== 0 || dy !== 0) {
-      const length = Math.sqrt(dx * dx + dy * dy);
-      if (length > 1) {
-        dx /= length;
-        dy /= length;
+    switch (action) {
+      case ACTIONS.PAUSE:
+        this.togglePause();
+        return;
+      case ACTIONS.RESTART:
+        if (this.runState === 'gameover') this.restart();
+        return;
+      case ACTIONS.JOIN:
+        if (!this.isPaused) this.coop.openJoinScreen();
+        return;
+    }
+    
+    // Gameplay actions are applied on the next simulation tick, for the
+    // player the source belongs to
+    const slot = this.coop.slotForSource(source);
+    if (!this.isPaused && slot !== -1 && ReplaySystem.ACTIONS.includes(action)) {
+      this.queueAction(action, slot);
+      this.noteSource(slot, source);
+    }
+  }
+  
+  // Remembers the device a player is using, so the join screen can pin it
+  noteSource(slot, source) {
+    const player = this.getPlayer(slot);
+    if (player) player.lastSource = source;
+  }
+  
+  // The input applied this tick: recorded live, or read back from a replay
+  readInputFrame() {
+    if (this.replay.isPlaying) return this.replay.nextFrame();
+    
+    const frame = this.sampleInput();
+    if (this.replay.isRecording) this.replay.record(frame);
+    return frame;
+  }
+  
+  // Live devices reduced to one frame with an entry per player slot, up to
+  // the highest one in use
+  sampleInput() {
+    const slots = this.input.actions.map((queue, slot) =>
+      queue.length > 0 || (this.getPlayer(slot) && !this.getPlayer(slot).left) ? slot + 1 : 0
+    );
+    const count = Math.max(1, ...slots);
+    
+    const players = [];
+    for (let slot = 0; slot < count; slot++) {
+      players.push(this.samplePlayerInput(slot));
+    }
+    return { players };
+  }
+  
+  // One player's devices reduced to their input. Values are quantized exactly
+  // as the replay file stores them so live runs and playback apply identical input.
+  samplePlayerInput(slot) {
+    const actions = this.input.actions[slot].splice(0);
+    const assign = this.input.assignments[slot].splice(0);
+    const player = this.getPlayer(slot);
+    const sources = player && !player.left ? this.coop.getSources(slot) : [];
+    const { x: dx, y: dy } = this.sampleMove(slot, sources);
+    const aim = sources.length > 0 ? this.sampleAim(slot, sources, dx, dy) : { x: 0, y: 0 };
+    
+    return {
+      moveX: Math.round(dx * 127) / 127,
+      moveY: Math.round(dy * 127) / 127,
+      aimX: Math.round(aim.x),
+      aimY: Math.round(aim.y),
+      
+      // One of each, in a fixed order
+      actions: ReplaySystem.unpackActions(ReplaySystem.packActions(actions)),
+      
+      // Rare, so only present when there is something to apply
+      ...(assign.length > 0 && { assign })
+    };
+  }
+  
+  // All of a player's devices at once: keys and D-pad, left stick, touch
+  // joystick (which belongs with the keyboard). The strongest deflection
+  // wins, so a resting stick never masks the keyboard.
+  sampleMove(slot, sources) {
+    const map = this.inputMap;
+    const joystick = this.input.joystick;
+    
+    let move = { x: 0, y: 0 };
+    let strongest = 0;
+    const consider = (vector, source) => {
+      const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y);
+      if (length > strongest) {
+        strongest = length;
+        move = vector;
+        this.noteSource(slot, source);
       }
+    };
+    
+    sources.forEach(source => {
+      consider(map.getDirection(source), source);
+      if (source === InputMap.KEYBOARD_SOURCE) {
+        if (joystick.active) consider(joystick, source);
+      } else {
+        consider(map.getStick(InputMap.ACTIONS.MOVE, source), source);
+      }
+    });
+    
+    // Normalize diagonal movement
+    if (strongest > 1) {
+      return { x: move.x / strongest, y: move.y / strongest };
     }
+    return { x: move.x, y: move.y };
+  }
+  
+  // Aim point in screen space. On a gamepad it comes from the right stick (or
+  // the movement direction without one) and holds when the stick is released;
+  // otherwise it is the mouse or touch position.
+  sampleAim(slot, sources, moveX, moveY) {
+    const pads = sources.filter(source => source !== InputMap.KEYBOARD_SOURCE);
+    let stick = { x: 0, y: 0 };
+    pads.forEach(source => {
+      const value = this.inputMap.getStick(InputMap.ACTIONS.AIM, source);
+      if (Math.hypot(value.x, value.y) > Math.hypot(stick.x, stick.y)) stick = value;
+    });
     
-    // Apply movement
-    p.vx = dx * p.speed;
-    p.vy = dy * p.speed;
-    p.x += p.vx * dt;
-    p.y += p.vy * dt;
+    // A player with only a pad always aims with it; one sharing the keyboard
+    // aims with whichever device was used last
+    const usingPad = !sources.includes(InputMap.KEYBOARD_SOURCE) ||
+      (pads.length > 0 && this.inputMap.lastDevice === InputMap.DEVICES.GAMEPAD);
     
-    // Keep player in bounds
-    p.x = Math.max(p.width/2, Math.min(this.gameWidth - p.width/2, p.x));
-    p.y = Math.max(p.height/2, Math.min(this.gameHeight - p.height/2, p.y));
+    if (stick.x !== 0 || stick.y !== 0) {
+      this.input.stickAim[slot] = Math.atan2(stick.y, stick.x);
+    } else if (usingPad && (moveX !== 0 || moveY !== 0)) {
+      this.input.stickAim[slot] = Math.atan2(moveY, moveX);
+    }
     
-    // Calculate angle toward mouse/touch
-    let targetX, targetY;
-    if (this.input.touch.active) {
-      targetX = this.input.touch.x;
-      targetY = this.input.touch.y;
-    } else {
-      targetX = this.input.mouse.x;
-      targetY = this.input.mouse.y;
+    if (usingPad) {
+      // Straight ahead until the player first aims
+      const p = this.getPlayer(slot);
+      const angle = this.input.stickAim[slot] ?? p.angle;
+      return {
+        x: p.x - this.camera.x + Math.cos(angle) * this.stickAimDistance,
+        y: p.y - this.camera.y + Math.sin(angle) * this.stickAimDistance
+      };
     }
     
-    p.angle = Math.atan2(targetY - p.y, targetX - p.x);
+    return this.input.touch.active ? this.input.touch : this.input.mouse;
+  }
+  
+  updatePlayer(p, dt, input = ReplaySystem.EMPTY_INPUT) {
+    // Stunned players slide to a halt and can't act
+    const stunned = p.stunned > 0;
+    const dx = stunned ? 0 : input.moveX;
+    const dy = stunned ? 0 : input.moveY;
+    
+    // Accelerate toward the input, or carry on with a dash
+    this.movement.move(p, dx, dy, dt);
+    
+    // Keep player in world bounds
+    p.x = Math.max(p.width/2, Math.min(this.worldWidth - p.width/2, p.x));
+    p.y = Math.max(p.height/2, Math.min(this.worldHeight - p.height/2, p.y));
+    
+    // Calculate angle toward mouse/touch (screen space -> world space)
+    const target = this.screenToWorld(input.aimX, input.aimY);
+    p.angle = Math.atan2(target.y - p.y, target.x - p.x);
+    
+    this.applyAssignments(p, input);
+    if (!stunned) input.actions.forEach(action => this.performAction(action, p));
     
     // Spawn trail particles when moving
     if (dx !== 0 || dy !== 0) {
-      if (Math.random() < 0.3) {
-        this.spawnParticle(p.x, p.y, '#667eea', 0.5);
+      if (this.fxRng.next() < 0.3) {
+        this.spawnParticle(p.x, p.y, p.color, 0.5);
       }
     }
   }
   
+  // Quick-slot changes from the pause menu, applied on the tick
+  applyAssignments(p, input) {
+    if (input && input.assign) input.assign.forEach(([quickSlot, item]) => this.inventory.assign(p, quickSlot, item));
+  }
+  
   updateCamera() {
-    // Smooth camera follow
-    const targetX = this.player.x - this.gameWidth / 2;
-    const targetY = this.player.y - this.gameHeight / 2;
+    // Smooth follow of the whole group, clamped to world bounds by the camera
+    const focus = this.coop.getFocus();
+    this.camera.follow(focus.x, focus.y);
+    this.camera.update();
+  }
+
+  /* Run lifecycle */
+  
+  startRun() {
+    // Same seed, same run
+    this.random.setSeed(this.runSeed);
+    if (!this.replay.isActive) {
+      this.replay.startRecording(this.runSeed);
+    }
+    
+    this.players = [this.createPlayer(0)];
+    this.particles = [];
+    this.clearActions();
+    this.input.stickAim = [];
+    this.coop.onRunStart();
+    
+    this.runState = 'playing';
+    this.deathTimer = 0;
+    this.runStats = {
+      enemiesKilled: 0,
+      soulsEarned: 0,
+      timeSurvived: 0,
+      damageDealt: 0,
+      healthRestored: 0,
+      itemsFound: 0,
+      bestCombo: 0
+    };
     
-    this.camera.x += (targetX - this.camera.x) * 0.1;
-    this.camera.y += (targetY - this.camera.y) * 0.1;
+    this.progression.reset();
+    this.progression.emitXP();
+    this.scoring.emitAll();
     
-    // Clamp camera to world bounds
-    this.camera.x = Math.max(0, Math.min(this.gameWidth - this.gameWidth, this.camera.x));
-    this.camera.y = Math.max(0, Math.min(this.gameHeight - this.gameHeight, this.camera.y));
+    this.resetLevel();
+    console.log('[Game] Run started');
+    this.events.emit(EventBus.EVENTS.RUN_START);
   }
-
-  pollGamepad() {
-    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
-    let gp = null;
-
-    if (this.input.gamepad.index !== null) {
-      gp = pads[this.input.gamepad.index];
+  
+  restart() {
+    // Restarting hands control back to the player
+    if (this.replay.isActive) this.stopReplay(false);
+    
+    this.startRun();
+    this.resume();
+  }
+  
+  updateRunStats(dt) {
+    this.runStats.timeSurvived += dt;
+  }
+  
+  // Players at zero health go down while an ally is still standing;
+  // the run ends when nobody is, also when the last one up leaves the
+  // others downed
+  updateFallen() {
+    const fallen = this.getActivePlayers().filter(p => p.health <= 0 && !p.downed);
+    
+    if (this.getLivePlayers().length > 0) {
+      fallen.forEach(p => this.coop.downPlayer(p));
+    } else if (this.getActivePlayers().length > 0) {
+      this.onPlayerDeath(fallen[fallen.length - 1] || this.getActivePlayers()[0]);
     }
-    if (!gp) {
-      gp = pads.find(p => p && p.connected) || null;
-      if (gp) this.input.gamepad.index = gp.index;
+  }
+  
+  onPlayerDeath(p = this.player) {
+    this.runState = 'dying';
+    this.deathTimer = this.deathDuration;
+    
+    for (let i = 0; i < 30; i++) {
+      this.spawnParticle(p.x, p.y, i % 2 ? '#ef4444' : p.color, 1.2);
     }
-    return gp;
+    
+    console.log('[Game] Player died');
+    this.events.emit(EventBus.EVENTS.PLAYER_DIED, { x: p.x, y: p.y });
   }
-
-  wasButtonPressed(gp, index) {
-    const prev = this.input.gamepad.buttons[index] || false;
-    const cur = !!gp.buttons?.[index]?.pressed;
-    this.input.gamepad.buttons[index] = cur;
-    return cur && !prev;
+  
+  // Returns true when a new run was started
+  updateRunEnd(dt, frame) {
+    if (this.runState === 'dying') {
+      this.deathTimer -= dt;
+      if (this.deathTimer <= 0) this.gameOver();
+      return false;
+    }
+    
+    if (this.replay.isActive) return false;
+    
+    // Attack restarts from the game over screen (so does the restart action)
+    if (frame.players.some(input => input.actions.includes('attack'))) {
+      this.restart();
+      return true;
+    }
+    return false;
+  }
+  
+  gameOver() {
+    this.runState = 'gameover';
+    this.waveDirector.stop();
+    
+    const summary = this.getRunSummary();
+    console.log('[Game] Game over, score:', summary.score);
+    
+    this.saveHighScore(summary.score);
+    this.events.emit(EventBus.EVENTS.GAME_OVER, summary);
+  }
+  
+  // Kill points with their bonuses, souls and chests (see ScoringSystem)
+  getScore() {
+    return this.scoring.getTotal();
   }
   
+  getRunSummary() {
+    const stats = this.runStats;
+    return {
+      enemiesKilled: stats.enemiesKilled,
+      soulsEarned: stats.soulsEarned,
+      timeSurvived: stats.timeSurvived,
+      bestCombo: stats.bestCombo,
+      level: this.progression.level,
+      wave: this.waveDirector.wave,
+      floor: this.levelNumber,
+      seed: this.runSeed,
+      score: this.getScore(),
+      players: this.players.map(p => ({
+        slot: p.slot,
+        color: p.color,
+        score: p.score,
+        enemiesKilled: p.kills,
+        bestCombo: p.bestCombo
+      }))
+    };
+  }
+  
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+
   spawnParticle(x, y, color, life = 1) {
     this.particles.push({
-      x: x + (Math.random() - 0.5) * 10,
-      y: y + (Math.random() - 0.5) * 10,
-      vx: (Math.random() - 0.5) * 50,
-      vy: (Math.random() - 0.5) * 50,
+      x: x + (this.fxRng.next() - 0.5) * 10,
+      y: y + (this.fxRng.next() - 0.5) * 10,
+      vx: (this.fxRng.next() - 0.5) * 50,
+      vy: (this.fxRng.next() - 0.5) * 50,
       color: color,
       life: life,
       maxLife: life,
-      size: Math.random() * 4 + 2
+      size: this.fxRng.next() * 4 + 2
     });
   }
   
   render() {
     const ctx = this.ctx;
+    this.applyInterpolation();
     
     // Clear canvas
     ctx.fillStyle = '#0a0a0f';
     ctx.fillRect(0, 0, this.gameWidth, this.gameHeight);
     
-    // Save context for camera transform
+    // Save context for camera transform (includes shake)
+    const view = this.camera.getPosition();
     ctx.save();
-    ctx.translate(-this.camera.x, -this.camera.y);
+    ctx.translate(-Math.round(view.x), -Math.round(view.y));
     
-    // Draw grid background
-    this.renderGrid(ctx);
+    // Draw the level, or a grid until one has loaded
+    if (this.level) {
+      this.level.render(ctx, this.getViewBounds());
+    } else {
+      this.renderGrid(ctx);
+    }
     
     // Draw particles
     this.particles.forEach(p => {
@@ -470,94 +1282,254 @@ class Game {
     });
     ctx.globalAlpha = 1;
     
-    // Draw entities
+    // Draw floor drops, then entities
+    this.pickups.render(ctx);
     this.entities.forEach(entity => {
       if (entity.render) entity.render(ctx);
     });
+    this.projectiles.render(ctx);
+    
+    // Draw effect particles
+    this.effects.draw();
+    
+    // Draw players
+    if (this.runState === 'playing') {
+      this.movement.renderAfterimages(ctx);
+      this.getActivePlayers().forEach(p => this.renderPlayer(ctx, p));
+      
+      // Draw sword swings and guard
+      this.combat.render(ctx);
+      
+      // Status effect pips over players and enemies
+      this.statusEffects.render(ctx);
+    }
     
-    // Draw player
-    this.renderPlayer(ctx);
+    // Collider outlines (set abyssGame.collisions.debug = true)
+    this.collisions.debugDraw(ctx, [...this.getLivePlayers(), ...this.entities, ...this.getStaticBodies()]);
     
     // Restore context
     ctx.restore();
     
     // Draw UI (not affected by camera)
     this.renderUI(ctx);
+    
+    if (this.runState === 'gameover') {
+      this.renderGameOverScreen(ctx);
+    }
+    
+    if (this.coop.joining) {
+      this.coop.renderJoinScreen(ctx);
+    }
+    
+    this.restoreInterpolation();
   }
   
   renderGrid(ctx) {
     const gridSize = 64;
-    const offsetX = -this.camera.x % gridSize;
-    const offsetY = -this.camera.y % gridSize;
+    const view = this.getViewBounds(gridSize);
+    
+    // Only the part of the world that is on screen
+    const left = Math.max(0, view.left);
+    const top = Math.max(0, view.top);
+    const right = Math.min(this.worldWidth, view.right);
+    const bottom = Math.min(this.worldHeight, view.bottom);
     
     ctx.strokeStyle = 'rgba(102, 126, 234, 0.1)';
     ctx.lineWidth = 1;
     
     // Vertical lines
-    for (let x = offsetX; x < this.gameWidth + gridSize; x += gridSize) {
+    for (let x = Math.ceil(left / gridSize) * gridSize; x <= right; x += gridSize) {
       ctx.beginPath();
-      ctx.moveTo(x + this.camera.x, this.camera.y);
-      ctx.lineTo(x + this.camera.x, this.camera.y + this.gameHeight);
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
       ctx.stroke();
     }
     
     // Horizontal lines
-    for (let y = offsetY; y < this.gameHeight + gridSize; y += gridSize) {
+    for (let y = Math.ceil(top / gridSize) * gridSize; y <= bottom; y += gridSize) {
       ctx.beginPath();
-      ctx.moveTo(this.camera.x, y + this.camera.y);
-      ctx.lineTo(this.camera.x + this.gameWidth, y + this.camera.y);
+      ctx.moveTo(left, y);
+      ctx.lineTo(right, y);
       ctx.stroke();
     }
+    
+    // World border
+    ctx.strokeStyle = 'rgba(102, 126, 234, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(0, 0, this.worldWidth, this.worldHeight);
   }
   
-  spawnZombie() {
-    const side = Math.floor(Math.random() * 4);
-    let x, y;
+  // A level spawn point off screen (preferring ones that allow the enemy
+  // type), else a point just outside the visible area
+  getSpawnPoint(margin = 40, type = null) {
+    const view = this.getViewBounds(margin);
+    
+    if (this.level && this.level.enemySpawns.length > 0) {
+      const hidden = this.level.enemySpawns.filter(s =>
+        s.x < view.left || s.x > view.right || s.y < view.top || s.y > view.bottom
+      );
+      const spawns = hidden.length > 0 ? hidden : this.level.enemySpawns;
+      const accepting = type ? spawns.filter(s => EnemySystem.accepts(s, type)) : [];
+      return this.rng.pick(accepting.length > 0 ? accepting : spawns);
+    }
+
+    const sides = [];
+    
+    if (view.left >= 0) sides.push('left');
+    if (view.right <= this.worldWidth) sides.push('right');
+    if (view.top >= 0) sides.push('top');
+    if (view.bottom <= this.worldHeight) sides.push('bottom');
+    
+    // The whole world is on screen: enter from outside its edges
+    if (sides.length === 0) {
+      sides.push('left', 'right', 'top', 'bottom');
+      view.left = -margin;
+      view.right = this.worldWidth + margin;
+      view.top = -margin;
+      view.bottom = this.worldHeight + margin;
+    }
+    
+    const side = this.rng.pick(sides);
+    const alongX = this.rng.range(Math.max(0, view.left), Math.min(this.worldWidth, view.right));
+    const alongY = this.rng.range(Math.max(0, view.top), Math.min(this.worldHeight, view.bottom));
+    
     switch (side) {
-      case 0: x = -40; y = Math.random() * this.gameHeight; break;
-      case 1: x = this.gameWidth + 40; y = Math.random() * this.gameHeight; break;
-      case 2: x = Math.random() * this.gameWidth; y = -40; break;
-      default: x = Math.random() * this.gameWidth; y = this.gameHeight + 40; break;
+      case 'left': return { x: view.left, y: alongY };
+      case 'right': return { x: view.right, y: alongY };
+      case 'top': return { x: alongX, y: view.top };
+      default: return { x: alongX, y: view.bottom };
     }
+  }
+  
+  // Spawns an enemy by type id (see EnemySystem.DEFINITIONS)
+  spawnEnemy(type = 'zombie', options = {}) {
+    return this.enemySystem.spawn(type, options);
+  }
 
-    const zombie = {
-      type: 'zombie',
-      x, y,
-      speed: 90 + Math.random() * 40,
-      update: (dt) => {
-        const dx = this.player.x - zombie.x;
-        const dy = this.player.y - zombie.y;
-        const len = Math.hypot(dx, dy) || 1;
-        zombie.x += (dx / len) * zombie.speed * dt;
-        zombie.y += (dy / len) * zombie.speed * dt;
-      },
+  spawnChest(chest) {
+    const entity = {
+      type: 'chest',
+      x: chest.x,
+      y: chest.y,
+      opened: false,
+      souls: chest.properties.souls || 10,
+      collider: CollisionSystem.circle(20, {
+        layer: CollisionSystem.LAYERS.PICKUP,
+        mask: CollisionSystem.LAYERS.PLAYER,
+        solid: false,
+        onCollide: (other) => {
+          if (other.type === 'player' && !entity.opened) this.openChest(entity, other);
+        }
+      }),
       render: (ctx) => {
-        ctx.save();
-        ctx.translate(zombie.x, zombie.y);
-        ctx.fillStyle = '#22c55e';
-        ctx.beginPath();
-        ctx.arc(0, 0, 12, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#14532d';
-        ctx.fillRect(-10, -14, 20, 6);
-        ctx.restore();
+        ctx.fillStyle = entity.opened ? '#4a3520' : '#b7791f';
+        ctx.fillRect(entity.x - 16, entity.y - 12, 32, 24);
+        ctx.fillStyle = entity.opened ? '#2d1f12' : '#fbbf24';
+        ctx.fillRect(entity.x - 16, entity.y - 4, 32, 4);
       }
     };
+    
+    this.entities.push(entity);
+    return entity;
+  }
+  
+  openChest(chest, opener = this.player) {
+    chest.opened = true;
+    chest.collider.enabled = false;
+    this.runStats.soulsEarned += chest.souls;
+    this.scoring.award(opener, chest.souls);
+    
+    this.events.emit(EventBus.EVENTS.CHEST_OPENED, { x: chest.x, y: chest.y, souls: chest.souls });
+    this.events.emit(EventBus.EVENTS.FX_BURST, {
+      x: chest.x,
+      y: chest.y,
+      type: ParticleSystem.TYPES.SOUL,
+      intensity: 1.5
+    });
+  }
+  
+  healPlayer(p, amount) {
+    const healed = Math.min(amount, p.maxHealth - p.health);
+    if (healed <= 0) return 0;
+    
+    p.health += healed;
+    this.runStats.healthRestored += healed;
+    this.events.emit(EventBus.EVENTS.PLAYER_HEALED, {
+      slot: p.slot,
+      amount: healed,
+      health: p.health,
+      maxHealth: p.maxHealth
+    });
+    return healed;
+  }
+  
+  damagePlayer(p, amount, source = null) {
+    const dealt = this.combat.hitPlayer(p, amount, source);
+    if (dealt <= 0) return 0;
+    
+    this.scoring.onHurt(p);
+    
+    // Poisoned shots, bleeding bites and the like
+    if (source && source.inflicts) this.statusEffects.apply(p, source.inflicts, source);
+    
+    this.events.emit(EventBus.EVENTS.PLAYER_DAMAGED, {
+      slot: p.slot,
+      amount: dealt,
+      health: p.health,
+      maxHealth: p.maxHealth
+    });
+    
+    // Hit feedback
+    for (let i = 0; i < 6; i++) {
+      this.spawnParticle(p.x, p.y, '#ef4444', 0.4);
+    }
+    this.camera.addShake(8);
+    
+    return dealt;
+  }
 
-    this.entities.push(zombie);
+  onEnemyKilled(enemy, killer = null) {
+    this.runStats.enemiesKilled++;
+    if (killer) {
+      killer.kills++;
+      this.scoring.onKill(killer, enemy);
+      if (killer.lifesteal > 0) this.healPlayer(killer, killer.lifesteal);
+    }
+    this.events.emit(EventBus.EVENTS.ENEMY_KILLED, { type: enemy.type, x: enemy.x, y: enemy.y });
+    this.enemySystem.onKilled(enemy);
+    if (enemy.definition && enemy.definition.loot) {
+      this.pickups.drop(enemy.definition.loot, enemy.x, enemy.y);
+    }
+    if (enemy.definition) this.progression.addXP(enemy.definition.xp || 0);
+    this.events.emit(EventBus.EVENTS.FX_BURST, {
+      x: enemy.x,
+      y: enemy.y,
+      type: ParticleSystem.TYPES.BLOOD,
+      intensity: 1
+    });
   }
 
-  renderPlayer(ctx) {
-    const p = this.player;
+  renderPlayer(ctx, p) {
+    if (p.downed) this.coop.renderDowned(ctx, p);
+    
+    // Hopping: shadow on the ground, body raised above it
+    if (p.z > 0) this.movement.renderShadow(ctx, p);
     
     ctx.save();
-    ctx.translate(p.x, p.y);
+    ctx.translate(p.x, p.y - p.z);
     ctx.rotate(p.angle);
     
-    // Glow effect
+    // Flicker while invulnerable, faded while downed
+    if (p.downed) {
+      ctx.globalAlpha = 0.35;
+    } else if (p.invulnerable > 0 && Math.floor(p.invulnerable * 20) % 2 === 0) {
+      ctx.globalAlpha = 0.4;
+    }
+    
+    // Glow effect in the player's colour
     const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, p.width);
-    gradient.addColorStop(0, 'rgba(102, 126, 234, 0.8)');
-    gradient.addColorStop(1, 'rgba(102, 126, 234, 0)');
+    gradient.addColorStop(0, `${p.color}cc`);
+    gradient.addColorStop(1, `${p.color}00`);
     ctx.fillStyle = gradient;
     ctx.fillRect(-p.width, -p.height, p.width * 2, p.height * 2);
     
@@ -569,28 +1541,87 @@ class Game {
     ctx.fillStyle = '#fff';
     ctx.fillRect(0, -4, p.width/2, 8);
     
+    // Ward shield
+    if (p.shield > 0) {
+      ctx.strokeStyle = 'rgba(56, 189, 248, 0.8)';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(0, 0, p.width * 0.9, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
     ctx.restore();
   }
   
   renderUI(ctx) {
-    // Health bar
+    // Health bars, one row per player in co-op
+    const players = this.getActivePlayers();
+    players.forEach((p, i) => this.renderHealthBar(ctx, p, 20 + i * 28, players.length > 1));
+    this.progression.renderBar(ctx, 20 + players.length * 28);
+    this.scoring.render(ctx, 32 + players.length * 28);
+    
+    // Boss health, or the wave status outside boss fights
+    const wave = this.waveDirector.getStatus();
+    if (this.bossSystem.active) {
+      this.bossSystem.renderBar(ctx);
+    } else if (wave.wave > 0 || wave.nextWaveIn > 0) {
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#fff';
+      ctx.font = 'bold 16px sans-serif';
+      const waveText = wave.nextWaveIn > 0
+        ? `Wave ${wave.wave + 1} in ${Math.ceil(wave.nextWaveIn)}`
+        : `Wave ${wave.wave} • ${wave.remaining} left`;
+      ctx.fillText(waveText, this.gameWidth / 2, 32);
+    }
+    
+    // Player one's quick slots, with the selected ability beside them
+    if (this.runState === 'playing') {
+      const left = this.inventory.renderQuickSlots(ctx, this.player);
+      this.abilities.renderSelected(ctx, this.player, left - 12);
+    }
+    
+    // FPS counter
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#888';
+    ctx.font = '12px monospace';
+    ctx.fillText(`${this.fps} FPS`, this.gameWidth - 20, 30);
+    
+    if (this.replay.isActive) {
+      this.renderReplayStatus(ctx);
+    }
+    
+    // Controls hint for the device in use (the touch overlay explains itself)
+    const hint = this.getControlsHint();
+    if (hint) {
+      ctx.textAlign = 'left';
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.font = '11px sans-serif';
+      ctx.fillText(hint, 20, this.gameHeight - 20);
+    }
+    
+    // Level-up cards over everything else
+    if (this.runState === 'playing' && this.progression.choosing) {
+      this.progression.renderChoices(ctx);
+    }
+  }
+  
+  renderHealthBar(ctx, p, barY, coop) {
     const barWidth = 200;
     const barHeight = 16;
-    const barX = 20;
-    const barY = 20;
+    const barX = coop ? 52 : 20;
     
     // Background
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
     ctx.fillRect(barX, barY, barWidth, barHeight);
     
     // Health
-    const healthPercent = this.player.health / this.player.maxHealth;
+    const healthPercent = p.health / p.maxHealth;
     const healthColor = healthPercent > 0.6 ? '#4ade80' : healthPercent > 0.3 ? '#fbbf24' : '#ef4444';
     ctx.fillStyle = healthColor;
     ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
     
     // Border
-    ctx.strokeStyle = '#fff';
+    ctx.strokeStyle = coop ? p.color : '#fff';
     ctx.lineWidth = 2;
     ctx.strokeRect(barX, barY, barWidth, barHeight);
     
@@ -598,19 +1629,74 @@ class Game {
     ctx.fillStyle = '#fff';
     ctx.font = 'bold 12px sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(`${Math.ceil(this.player.health)}/${this.player.maxHealth}`, barX + barWidth/2, barY + 12);
+    const health = p.downed ? 'DOWN' : `${Math.ceil(p.health)}/${p.maxHealth}`;
+    ctx.fillText(health, barX + barWidth/2, barY + 12);
+    
+    // Mana, a thin strip under the health
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(barX, barY + barHeight + 2, barWidth, 5);
+    ctx.fillStyle = '#60a5fa';
+    ctx.fillRect(barX, barY + barHeight + 2, barWidth * (p.mana / p.maxMana), 5);
+    
+    // Player tag and score
+    if (coop) {
+      ctx.fillStyle = p.color;
+      ctx.textAlign = 'left';
+      ctx.fillText(`P${p.slot + 1}`, 20, barY + 12);
+      ctx.fillText(p.score.toLocaleString(), barX + barWidth + 10, barY + 12);
+    }
+  }
+  
+  getControlsHint() {
+    const A = InputMap.ACTIONS;
+    const p = action => this.getPrompt(action);
+    const items = [A.ITEM_1, A.ITEM_2, A.ITEM_3, A.ITEM_4].map(p).join('/');
+    
+    switch (this.inputMap.lastDevice) {
+      case InputMap.DEVICES.TOUCH:
+        return '';
+      case InputMap.DEVICES.GAMEPAD:
+        return `${p(A.MOVE)}: Move | ${p(A.AIM)}: Aim | ${p(A.ATTACK)}: Attack | ` +
+          `${p(A.DEFEND)}: Defend | ${p(A.JUMP)}/${p(A.DASH)}: Hop/Dash | ${p(A.SPECIAL)}: Ability | ${p(A.NEXT_ABILITY)}: Switch | ${items}: Items | ${p(A.PAUSE)}: Pause | ${p(A.JOIN)}: Co-op`;
+      default: {
+        const move = [A.MOVE_UP, A.MOVE_LEFT, A.MOVE_DOWN, A.MOVE_RIGHT].map(p).join('');
+        return `${move}: Move | Mouse: Aim | ${p(A.ATTACK)}/Click: Attack | ` +
+          `${p(A.DEFEND)}/Right Click: Defend | ${p(A.JUMP)}/${p(A.DASH)}: Hop/Dash | ${p(A.SPECIAL)}: Ability | ${p(A.NEXT_ABILITY)}: Switch | ${items}: Items | ${p(A.PAUSE)}: Pause | ${p(A.JOIN)}: Co-op`;
+      }
+    }
+  }
+  
+  // Name of the key or button bound to an action on the device in use,
+  // falling back to the keyboard for actions the pad leaves unbound
+  getPrompt(action) {
+    return this.inputMap.getPrompt(action) || this.inputMap.getPrompt(action, InputMap.DEVICES.KEYBOARD);
+  }
+  
+  renderReplayStatus(ctx) {
+    const status = this.replay.getStatus();
+    const progress = status.ticks > 0 ? status.tick / status.ticks : 0;
     
-    // FPS counter
     ctx.textAlign = 'right';
-    ctx.fillStyle = '#888';
-    ctx.font = '12px monospace';
-    ctx.fillText(`${this.fps} FPS`, this.gameWidth - 20, 30);
+    ctx.fillStyle = '#f093fb';
+    ctx.font = 'bold 14px sans-serif';
+    const label = status.state === ReplaySystem.STATES.FINISHED ? '■ REPLAY ENDED' : `▶ REPLAY ${status.speed}x`;
+    ctx.fillText(`${label}  ${this.formatTime(status.time)} / ${this.formatTime(status.duration)}`, this.gameWidth - 20, 52);
     
-    // Controls hint
-    ctx.textAlign = 'left';
     ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
     ctx.font = '11px sans-serif';
-    ctx.fillText('WASD/Arrows: Move | Mouse: Aim | ESC: Pause', 20, this.gameHeight - 20);
+    const A = InputMap.ACTIONS;
+    ctx.fillText(
+      `${this.getPrompt(A.REPLAY_SLOWER)} ${this.getPrompt(A.REPLAY_FASTER)} Speed | ` +
+      `${this.getPrompt(A.REPLAY_BACK)} ${this.getPrompt(A.REPLAY_FORWARD)} Seek 5s | ` +
+      `${this.getPrompt(A.REPLAY_EXIT)} Exit replay`,
+      this.gameWidth - 20, 70
+    );
+    
+    // Progress bar along the bottom edge
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(0, this.gameHeight - 4, this.gameWidth, 4);
+    ctx.fillStyle = '#f093fb';
+    ctx.fillRect(0, this.gameHeight - 4, this.gameWidth * progress, 4);
   }
   
   renderPauseScreen() {
@@ -632,7 +1718,40 @@ class Game {
     
     ctx.font = '18px sans-serif';
     ctx.fillStyle = '#888';
-    ctx.fillText('Press ESC or P to resume', this.gameWidth / 2, this.gameHeight / 2 + 30);
+    ctx.fillText(`Press ${this.getPrompt(InputMap.ACTIONS.PAUSE)} to resume`, this.gameWidth / 2, this.gameHeight / 2 + 30);
+  }
+  
+  renderGameOverScreen(ctx) {
+    const summary = this.getRunSummary();
+    const centerX = this.gameWidth / 2;
+    const centerY = this.gameHeight / 2;
+    
+    ctx.fillStyle = 'rgba(10, 10, 15, 0.8)';
+    ctx.fillRect(0, 0, this.gameWidth, this.gameHeight);
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    ctx.fillStyle = '#e63946';
+    ctx.font = 'bold 48px sans-serif';
+    ctx.fillText('YOU HAVE FALLEN', centerX, centerY - 110);
+    
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 28px sans-serif';
+    ctx.fillText(`Score ${summary.score.toLocaleString()}`, centerX, centerY - 50);
+    
+    ctx.fillStyle = '#aaa';
+    ctx.font = '18px sans-serif';
+    ctx.fillText(`Enemies Defeated: ${summary.enemiesKilled}`, centerX, centerY);
+    ctx.fillText(`Souls Collected: ${summary.soulsEarned}`, centerX, centerY + 28);
+    ctx.fillText(`Time Survived: ${this.formatTime(summary.timeSurvived)}`, centerX, centerY + 56);
+    ctx.fillText(`Best Combo: x${summary.bestCombo}`, centerX, centerY + 84);
+    
+    ctx.fillStyle = '#888';
+    ctx.font = '16px sans-serif';
+    ctx.fillText(`Press ${this.getPrompt(InputMap.ACTIONS.RESTART)} or tap to try again`, centerX, centerY + 140);
+    
+    ctx.textBaseline = 'alphabetic';
   }
   
   // High score management with background sync
@@ -666,36 +1785,183 @@ class Game {
     return JSON.parse(localStorage.getItem('abyssHighScores') || '[]');
   }
   
-  // Action methods for touch controls
-  attack() {
-    console.log('[Game] Attack!');
+  // Player actions, applied inside the simulation tick
+  attack(p = this.player) {
+    if (this.combat.attack(p) === false) return;
+    
+    this.events.emit(EventBus.EVENTS.COMBAT_SWING, {
+      x: p.x,
+      y: p.y,
+      angle: p.angle
+    });
+    
     // Spawn attack particles
     for (let i = 0; i < 8; i++) {
-      const angle = this.player.angle + (Math.random() - 0.5) * 0.5;
+      const angle = p.angle + (this.fxRng.next() - 0.5) * 0.5;
       const dist = 40;
       this.spawnParticle(
-        this.player.x + Math.cos(angle) * dist,
-        this.player.y + Math.sin(angle) * dist,
+        p.x + Math.cos(angle) * dist,
+        p.y + Math.sin(angle) * dist,
         '#f093fb',
         0.3
       );
     }
   }
   
-  defend() {
-    console.log('[Game] Defend!');
+  // Casts the player's selected ability
+  special(p = this.player) {
+    return this.abilities.cast(p);
+  }
+  
+  defend(p = this.player) {
+    if (!this.combat.defend(p)) return;
+    
     // Spawn shield effect
     for (let i = 0; i < 12; i++) {
       const angle = (i / 12) * Math.PI * 2;
       const dist = 30;
       this.spawnParticle(
-        this.player.x + Math.cos(angle) * dist,
-        this.player.y + Math.sin(angle) * dist,
+        p.x + Math.cos(angle) * dist,
+        p.y + Math.sin(angle) * dist,
         '#4ade80',
         0.5
       );
     }
   }
+  
+  // Touch buttons and the DOM UI belong to whoever plays on the keyboard
+  handleAction(action, detail = {}) {
+    const player = this.coop.slotForSource(InputMap.KEYBOARD_SOURCE);
+    if (player === -1 && action !== 'restart') return;
+    
+    switch (action) {
+      case 'attack':
+      case 'jump':
+      case 'special':
+        this.queueAction(action, player);
+        break;
+      case 'defend':
+      case 'action':
+        this.queueAction('defend', player);
+        break;
+      case 'item':
+        if (detail.slot >= 1 && detail.slot <= 4) this.queueAction(`item${detail.slot}`, player);
+        break;
+      case 'choose':
+        // Level-up cards are picked with the first three item actions
+        if (detail.slot >= 1 && detail.slot <= 3) this.queueAction(`item${detail.slot}`, player);
+        break;
+      case 'assign':
+        if (detail.slot >= 1 && detail.slot <= 4) this.assignQuickSlot(detail.slot - 1, detail.item || null, player);
+        break;
+      case 'restart':
+        this.restart();
+        break;
+      case 'nextLevel':
+        this.queueAction('descend', player);
+        break;
+    }
+  }
+  
+  // Recorded actions, applied inside the simulation tick
+  performAction(action, p = this.player) {
+    switch (action) {
+      case 'attack':
+        this.attack(p);
+        break;
+      case 'defend':
+        this.defend(p);
+        break;
+      case 'special':
+        this.special(p);
+        break;
+      case 'jump':
+        this.movement.hop(p);
+        break;
+      case 'dash':
+        this.movement.dash(p);
+        break;
+      case 'nextAbility':
+        this.abilities.cycle(p);
+        break;
+      case 'item1':
+      case 'item2':
+      case 'item3':
+      case 'item4':
+        this.inventory.use(p, Number(action.slice(4)) - 1);
+        break;
+      case 'descend':
+        this.descend();
+        break;
+    }
+  }
+  
+  /* Replays */
+  
+  // Accepts a replay file's text or an already parsed replay
+  playReplay(source) {
+    const replay = typeof source === 'string' ? ReplaySystem.parse(source) : source;
+    this.coop.closeJoinScreen();
+    this.replay.play(replay);
+    this.resume();
+    return this.restartReplay(replay);
+  }
+  
+  async restartReplay(replay) {
+    this.fixedStep = replay.step;
+    this.runSeed = replay.seed;
+    this.startRun();
+    await this.loadLevel(replay.level);
+  }
+  
+  // Leaves playback; by default starts a fresh live run
+  stopReplay(newRun = true) {
+    this.replay.stop();
+    this.fixedStep = this.liveFixedStep;
+    if (newRun) this.newRun();
+  }
+  
+  handleReplayCommand(command, value) {
+    switch (command) {
+      case 'export':
+        this.replay.download();
+        break;
+      case 'speed':
+        this.replay.setSpeed(value);
+        break;
+      case 'seek':
+        this.replay.seek(value);
+        break;
+      case 'stop':
+        if (this.replay.isActive) this.stopReplay();
+        break;
+    }
+  }
+  
+  // Returns true when the action was a replay control
+  handleReplayAction(action) {
+    const ACTIONS = InputMap.ACTIONS;
+    const seekTicks = Math.round(5 / this.fixedStep);
+    
+    switch (action) {
+      case ACTIONS.REPLAY_SLOWER:
+        this.replay.changeSpeed(-1);
+        return true;
+      case ACTIONS.REPLAY_FASTER:
+        this.replay.changeSpeed(1);
+        return true;
+      case ACTIONS.REPLAY_BACK:
+        this.replay.seek(this.replay.cursor - seekTicks);
+        return true;
+      case ACTIONS.REPLAY_FORWARD:
+        this.replay.seek(this.replay.cursor + seekTicks);
+        return true;
+      case ACTIONS.REPLAY_EXIT:
+        this.stopReplay();
+        return true;
+    }
+    return false;
+  }
 }
 
 // Initialize game when DOM is ready
@@ -707,17 +1973,7 @@ document.addEventListener('DOMContentLoaded', () => {
   window.abyssGame = game;
 });
 
-// Handle game actions from touch controls
-window.gameAction = function(action) {
-  if (!game) return;
-  
-  switch(action) {
-    case 'attack':
-      game.attack();
-      break;
-    case 'defend':
-    case 'action':
-      game.defend();
-      break;
-  }
+// Legacy entry point for game actions; publishes to the event bus
+window.gameAction = function(action, detail = {}) {
+  window.eventBus.emit(EventBus.EVENTS.INPUT_ACTION, { action, ...detail });
 };
\ No newline at end of file
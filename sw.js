@@ -12,10 +12,35 @@ const IMAGE_CACHE = 'abyss-walker-images-v1';
 const STATIC_ASSETS = [
   './',
   './index.html',
+  './event-bus.js',
   './game.js',
   './touch-controls.js',
   './fullscreen.js',
   './wakelock.js',
+  './effects/particles.js',
+  './audio/audio-manager.js',
+  './systems/collision.js',
+  './systems/combat.js',
+  './systems/movement.js',
+  './systems/projectiles.js',
+  './systems/pickups.js',
+  './systems/inventory.js',
+  './systems/progression.js',
+  './systems/abilities.js',
+  './systems/scoring.js',
+  './systems/status-effects.js',
+  './systems/pathfinding.js',
+  './systems/enemies.js',
+  './systems/boss.js',
+  './systems/wave-director.js',
+  './systems/tilemap.js',
+  './systems/random.js',
+  './systems/dungeon-generator.js',
+  './systems/replay.js',
+  './systems/input-map.js',
+  './systems/coop.js',
+  './levels/level-1.json',
+  './levels/level-2.json',
   './manifest.json',
   './assets/styles.css'
 ];
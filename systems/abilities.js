@@ -0,0 +1,437 @@
+/**
+ * Abyss Walker - Ability System
+ * Mana pools with regeneration and data-defined special abilities with costs and cooldowns
+ */
+
+class AbilitySystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Every player's mana pool and how fast it refills (per second)
+        this.maxMana = options.maxMana || 100;
+        this.manaRegen = options.manaRegen || 8;
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    // Every player starts a run knowing these; the first one is selected
+    static STARTING_ABILITIES = ['soulbolts', 'blast'];
+
+    // Abilities by id. `effect` names the entry in EFFECTS that casts it;
+    // the rest of the definition is that effect's tuning. Casting spends
+    // `cost` mana and starts the ability's `cooldown` (seconds).
+    static ABILITIES = {
+        soulbolts: {
+            name: 'Soul Bolts',
+            icon: '✨',
+            cost: 20,
+            cooldown: 5,
+            effect: 'bolts'
+        },
+        blast: {
+            name: 'Void Nova',
+            icon: '💥',
+            cost: 35,
+            cooldown: 6,
+            effect: 'blast',
+            radius: 130,
+            damage: 45,
+            knockback: 420,
+            inflicts: 'slow'
+        },
+        blink: {
+            name: 'Blink',
+            icon: '💨',
+            cost: 20,
+            cooldown: 3,
+            effect: 'dash',
+            distance: 180,
+            invulnerable: 0.25
+        },
+        aegis: {
+            name: 'Aegis',
+            icon: '🔰',
+            cost: 30,
+            cooldown: 14,
+            effect: 'shield',
+            shield: 60,
+            duration: 8
+        },
+        wisp: {
+            name: 'Soul Wisp',
+            icon: '👻',
+            cost: 50,
+            cooldown: 20,
+            effect: 'summon',
+            duration: 12,
+            fireRate: 0.7,
+            range: 320,
+            damage: 12
+        }
+    };
+
+    // Effects by id: `(player, ability, system)` casts the ability and may
+    // return false when it can't be cast right now; nothing is spent then
+    static EFFECTS = {
+        // A fan of piercing, homing bolts shaped by the player's special stats
+        bolts(player, ability, system) {
+            const half = (player.specialBolts - 1) / 2;
+            for (let i = 0; i < player.specialBolts; i++) {
+                const angle = player.angle + (i - half) * player.specialSpread;
+                system.game.projectiles.spawn({
+                    x: player.x + Math.cos(angle) * 20,
+                    y: player.y + Math.sin(angle) * 20,
+                    angle,
+                    speed: player.specialSpeed,
+                    damage: player.specialDamage,
+                    radius: 6,
+                    life: 1.2,
+                    pierce: 1,
+                    homing: 4,
+                    knockback: 160,
+                    color: player.color,
+                    faction: ProjectileSystem.FACTIONS.PLAYER,
+                    owner: player
+                });
+            }
+            system.burst(player, ParticleSystem.TYPES.SOUL);
+        },
+
+        // Hits every enemy around the player and throws them back
+        blast(player, ability, system) {
+            const game = system.game;
+            game.combat.damageArea(player.x, player.y, ability.radius, ability.damage, ability.knockback, player, ability.inflicts);
+            game.events.emit(EventBus.EVENTS.FX_IMPACT, { x: player.x, y: player.y, intensity: 1.5 });
+            system.burst(player, ParticleSystem.TYPES.MAGIC, 1.5);
+            game.camera.addShake(8);
+        },
+
+        // Jumps toward the aim, short of any wall, untouchable on the way
+        dash(player, ability, system) {
+            const to = system.reach(player, player.angle, ability.distance);
+            if (to.x === player.x && to.y === player.y) return false;
+
+            system.burst(player, ParticleSystem.TYPES.SOUL);
+            player.x = to.x;
+            player.y = to.y;
+            player.invulnerable = Math.max(player.invulnerable, ability.invulnerable);
+            system.burst(player, ParticleSystem.TYPES.SOUL);
+        },
+
+        shield(player, ability, system) {
+            system.game.inventory.applyBuff(player, 'aegis', 'shield', ability.shield, ability.duration);
+            system.burst(player, ParticleSystem.TYPES.MAGIC);
+        },
+
+        summon(player, ability, system) {
+            system.summonWisp(player, ability);
+            system.burst(player, ParticleSystem.TYPES.SOUL);
+        }
+    };
+
+    // Adds or replaces an ability
+    static define(id, definition) {
+        AbilitySystem.ABILITIES[id] = definition;
+        return definition;
+    }
+
+    // Adds or replaces an effect abilities can name
+    static defineEffect(id, effect) {
+        AbilitySystem.EFFECTS[id] = effect;
+        return effect;
+    }
+
+    /* ============================================
+       LOADOUT
+       ============================================ */
+
+    // Gives a fresh player a full mana pool and the starting abilities
+    equip(player) {
+        player.mana = this.maxMana;
+        player.maxMana = this.maxMana;
+        player.manaRegen = this.manaRegen;
+        player.abilities = [...AbilitySystem.STARTING_ABILITIES];
+        player.selectedAbility = 0;
+        player.abilityCooldowns = {};
+
+        this.emitMana(player);
+        this.emitSelected(player);
+    }
+
+    getSelected(player) {
+        return player.abilities[player.selectedAbility] || null;
+    }
+
+    // Teaches the player an ability and selects it; false if already known
+    unlock(player, id) {
+        if (!AbilitySystem.ABILITIES[id] || player.abilities.includes(id)) return false;
+        player.abilities.push(id);
+        player.selectedAbility = player.abilities.length - 1;
+        this.emitSelected(player);
+        return true;
+    }
+
+    // Selects the next known ability, wrapping around
+    cycle(player) {
+        if (player.abilities.length < 2) return;
+        player.selectedAbility = (player.selectedAbility + 1) % player.abilities.length;
+        this.emitSelected(player);
+    }
+
+    /* ============================================
+       CASTING
+       ============================================ */
+
+    // Casts the selected ability; false while it cools down, without the
+    // mana for it, or when its effect refuses
+    cast(player) {
+        const id = this.getSelected(player);
+        const ability = id && AbilitySystem.ABILITIES[id];
+        if (!ability || player.health <= 0 || player.downed) return false;
+        if (player.abilityCooldowns[id] > 0 || player.mana < ability.cost) return false;
+
+        const effect = AbilitySystem.EFFECTS[ability.effect];
+        if (!effect) {
+            console.warn(`[Abilities] Unknown effect "${ability.effect}"`);
+            return false;
+        }
+        if (effect(player, ability, this) === false) return false;
+
+        player.mana -= ability.cost;
+        player.abilityCooldowns[id] = ability.cooldown;
+
+        this.game.events.emit(EventBus.EVENTS.PLAYER_SPECIAL, {
+            slot: player.slot,
+            ability: id,
+            x: player.x,
+            y: player.y,
+            angle: player.angle,
+            cooldown: ability.cooldown
+        });
+        this.emitMana(player);
+        return true;
+    }
+
+    // Ticks cooldowns and refills mana for every player in the run
+    update(dt) {
+        this.game.getActivePlayers().forEach(player => {
+            const selected = this.getSelected(player);
+            const cooling = selected in player.abilityCooldowns;
+            Object.keys(player.abilityCooldowns).forEach(id => {
+                player.abilityCooldowns[id] -= dt;
+                if (player.abilityCooldowns[id] <= 0) delete player.abilityCooldowns[id];
+            });
+
+            // Every tick, including the one it ends on, so the special
+            // button's overlay follows the game clock and stops with it
+            if (cooling) this.emitCooldown(player);
+
+            if (player.downed || player.mana >= player.maxMana) return;
+
+            // Announced in whole points so the HUD isn't flooded
+            const before = Math.floor(player.mana);
+            player.mana = Math.min(player.maxMana, player.mana + player.manaRegen * dt);
+            if (Math.floor(player.mana) !== before) this.emitMana(player);
+        });
+    }
+
+    // Furthest point up to `distance` along `angle` that the player fits at
+    reach(player, angle, distance) {
+        const game = this.game;
+        const radius = player.collider.radius;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const steps = 12;
+        let x = player.x;
+        let y = player.y;
+
+        for (let i = 1; i <= steps; i++) {
+            const nx = player.x + cos * distance * (i / steps);
+            const ny = player.y + sin * distance * (i / steps);
+            const ex = nx + cos * radius;
+            const ey = ny + sin * radius;
+            if ((game.level && game.level.isSolidAt(ex, ey)) || ex < 0 || ey < 0 ||
+                ex > game.worldWidth || ey > game.worldHeight) break;
+            x = nx;
+            y = ny;
+        }
+        return { x, y };
+    }
+
+    /* ============================================
+       SUMMONS
+       ============================================ */
+
+    // A wisp that circles its owner and shoots the nearest enemy in range
+    summonWisp(player, ability) {
+        const game = this.game;
+        const wisp = {
+            type: 'wisp',
+            x: player.x,
+            y: player.y,
+            owner: player,
+            timer: ability.duration,
+            fireTimer: ability.fireRate,
+            orbit: player.angle,
+            dead: false,
+            update: (dt) => {
+                wisp.timer -= dt;
+                if (wisp.timer <= 0 || player.left) {
+                    wisp.dead = true;
+                    return;
+                }
+
+                wisp.orbit += 2 * dt;
+                const tx = player.x + Math.cos(wisp.orbit) * 40;
+                const ty = player.y + Math.sin(wisp.orbit) * 40;
+                const follow = Math.min(1, 8 * dt);
+                wisp.x += (tx - wisp.x) * follow;
+                wisp.y += (ty - wisp.y) * follow;
+
+                wisp.fireTimer -= dt;
+                if (wisp.fireTimer > 0) return;
+                const target = this.findTarget(wisp, ability.range);
+                if (!target) return;
+
+                wisp.fireTimer = ability.fireRate;
+                game.projectiles.spawn({
+                    x: wisp.x,
+                    y: wisp.y,
+                    angle: Math.atan2(target.y - wisp.y, target.x - wisp.x),
+                    speed: 460,
+                    damage: ability.damage,
+                    radius: 4,
+                    homing: 3,
+                    color: '#c4b5fd',
+                    faction: ProjectileSystem.FACTIONS.PLAYER,
+                    owner: player
+                });
+            },
+            render: (ctx) => {
+                // Fades out over its last second
+                ctx.save();
+                ctx.globalAlpha = Math.min(1, wisp.timer);
+                ctx.fillStyle = '#c4b5fd';
+                ctx.shadowColor = player.color;
+                ctx.shadowBlur = 14;
+                ctx.beginPath();
+                ctx.arc(wisp.x, wisp.y, 7, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+            }
+        };
+
+        game.entities.push(wisp);
+        return wisp;
+    }
+
+    findTarget(from, range) {
+        let nearest = null;
+        let best = range;
+        this.game.entities.forEach(entity => {
+            if (entity.dead || !entity.collider || !(entity.collider.layer & CollisionSystem.LAYERS.ENEMY)) return;
+            const distance = Math.hypot(entity.x - from.x, entity.y - from.y);
+            if (distance < best) {
+                best = distance;
+                nearest = entity;
+            }
+        });
+        return nearest;
+    }
+
+    /* ============================================
+       EVENTS
+       ============================================ */
+
+    burst(player, type, intensity = 0.6) {
+        this.game.events.emit(EventBus.EVENTS.FX_BURST, { x: player.x, y: player.y, type, intensity });
+    }
+
+    describe(id) {
+        const ability = AbilitySystem.ABILITIES[id];
+        return { id, name: ability.name, icon: ability.icon, cost: ability.cost, cooldown: ability.cooldown };
+    }
+
+    emitMana(player) {
+        this.game.events.emit(EventBus.EVENTS.MANA_CHANGED, {
+            slot: player.slot,
+            mana: player.mana,
+            maxMana: player.maxMana
+        });
+    }
+
+    // The selected ability with its remaining cooldown, so a HUD picks up
+    // mid-cooldown after switching
+    emitCooldown(player) {
+        const id = this.getSelected(player);
+        this.game.events.emit(EventBus.EVENTS.ABILITY_COOLDOWN, {
+            slot: player.slot,
+            id,
+            remaining: player.abilityCooldowns[id] || 0,
+            cooldown: AbilitySystem.ABILITIES[id].cooldown
+        });
+    }
+
+    emitSelected(player) {
+        const id = this.getSelected(player);
+        if (!id) return;
+        this.game.events.emit(EventBus.EVENTS.ABILITY_SELECTED, {
+            slot: player.slot,
+            ...this.describe(id),
+            remaining: player.abilityCooldowns[id] || 0
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    // Player one's selected ability, left of the quick slots
+    renderSelected(ctx, player, right) {
+        const id = this.getSelected(player);
+        if (!id) return;
+
+        const game = this.game;
+        const ability = AbilitySystem.ABILITIES[id];
+        const size = 48;
+        const x = right - size;
+        const y = game.gameHeight - size - 20;
+        const cooldown = player.abilityCooldowns[id] || 0;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
+        ctx.fillRect(x, y, size, size);
+        ctx.strokeStyle = player.mana >= ability.cost ? '#a78bfa' : 'rgba(255, 255, 255, 0.25)';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+
+        ctx.globalAlpha = player.mana >= ability.cost ? 1 : 0.4;
+        ctx.font = '26px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(ability.icon, x + size / 2, y + size / 2 + 9);
+        ctx.globalAlpha = 1;
+
+        if (cooldown > 0) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x, y, size, size * Math.min(1, cooldown / ability.cooldown));
+        }
+
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#93c5fd';
+        ctx.fillText(ability.cost, x + size - 3, y + size - 4);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(game.getPrompt(InputMap.ACTIONS.SPECIAL), x + 3, y + 11);
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AbilitySystem;
+}
@@ -0,0 +1,599 @@
+/**
+ * Abyss Walker - Boss System
+ * Floor bosses with health-gated phases, telegraphed attack patterns and a HUD health bar
+ */
+
+class BossSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Bosses appear this far from the players when the fight starts (px)
+        this.arrivalDistance = options.arrivalDistance || 320;
+
+        this.reset();
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    // Bosses by id. Health is scaled by the floor difficulty. Each phase lasts
+    // until the boss's health fraction drops to `until`; its attacks are
+    // picked at random every `cooldown` seconds once a player is within
+    // `range`. Shot and minion fields are read by the volley and summon attacks;
+    // `loot` is the PickupSystem loot table dropped on defeat, `xp` the party
+    // experience it gives and `score` the points it is worth. `immune` lists
+    // the status effects it never takes and `shotInflicts` the one its shots
+    // apply (see StatusEffectSystem).
+    static DEFINITIONS = {
+        warden: {
+            name: 'The Grave Warden',
+            health: 900,
+            radius: 30,
+            speed: 70,
+            contactDamage: 15,
+            color: '#64748b',
+            accent: '#f59e0b',
+            shotSpeed: 240,
+            shotDamage: 10,
+            shotLife: 3,
+            minion: 'zombie',
+            loot: 'boss',
+            xp: 250,
+            score: 2500,
+            immune: ['stun'],
+            phases: [
+                { until: 0.6, speed: 1, cooldown: 2.2, range: 420, attacks: ['slam', 'charge'] },
+                { until: 0.3, speed: 1.2, cooldown: 1.7, range: 480, attacks: ['slam', 'charge', 'volley'] },
+                { until: 0, speed: 1.4, cooldown: 1.3, range: 520, attacks: ['slam', 'charge', 'volley', 'summon'] }
+            ]
+        },
+        maw: {
+            name: 'The Abyssal Maw',
+            health: 1200,
+            radius: 36,
+            speed: 55,
+            contactDamage: 20,
+            color: '#7c3aed',
+            accent: '#f0abfc',
+            shotSpeed: 200,
+            shotDamage: 12,
+            shotLife: 3.5,
+            shotInflicts: 'poison',
+            minion: 'crawler',
+            loot: 'boss',
+            xp: 350,
+            score: 3500,
+            immune: ['stun', 'slow'],
+            phases: [
+                { until: 0.5, speed: 1, cooldown: 2, range: 460, attacks: ['volley', 'slam'] },
+                { until: 0, speed: 1.3, cooldown: 1.4, range: 520, attacks: ['volley', 'slam', 'summon', 'charge'] }
+            ]
+        }
+    };
+
+    // Attack patterns by id. Each runs windup (telegraph drawn on the ground)
+    // -> execute -> active for `duration` -> recover, with optional hooks:
+    //   start(boss, attack, system)        - aim when the wind-up begins
+    //   execute(boss, attack, system)      - the hit, when the wind-up ends
+    //   update(boss, attack, dt, system)   - every tick while active
+    //   finish(boss, attack, system)       - the active part ended or was cut short
+    //   render(ctx, boss, attack, progress) - telegraph, progress 0..1
+    static ATTACKS = {
+        // Ground slam on the target's position
+        slam: {
+            windup: 1,
+            duration: 0,
+            recover: 0.6,
+            radius: 90,
+            damage: 25,
+            start(boss, attack, system) {
+                const target = system.getTarget(boss);
+                attack.x = target ? target.x : boss.x;
+                attack.y = target ? target.y : boss.y;
+                // A shockwave along the floor; hopping clears it
+                attack.low = true;
+                attack.inflicts = 'slow';
+            },
+            execute(boss, attack, system) {
+                system.game.getLivePlayers().forEach(p => {
+                    if (Math.hypot(p.x - attack.x, p.y - attack.y) <= this.radius) {
+                        system.game.damagePlayer(p, this.damage, attack);
+                    }
+                });
+                system.game.events.emit(EventBus.EVENTS.FX_IMPACT, { x: attack.x, y: attack.y, intensity: 2 });
+                system.game.camera.addShake(12);
+            },
+            render(ctx, boss, attack, progress) {
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.15)';
+                ctx.beginPath();
+                ctx.arc(attack.x, attack.y, this.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+                ctx.beginPath();
+                ctx.arc(attack.x, attack.y, this.radius * progress, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        },
+
+        // Straight dash along a marked lane
+        charge: {
+            windup: 0.8,
+            duration: 0.5,
+            recover: 0.8,
+            speed: 620,
+            damage: 30,
+            start(boss, attack, system) {
+                const target = system.getTarget(boss);
+                attack.angle = target ? Math.atan2(target.y - boss.y, target.x - boss.x) : boss.angle;
+                boss.angle = attack.angle;
+            },
+            execute(boss) {
+                boss.contactDamage = this.damage;
+                boss.attackCooldown = 0;
+            },
+            update(boss, attack, dt) {
+                boss.x += Math.cos(attack.angle) * this.speed * dt;
+                boss.y += Math.sin(attack.angle) * this.speed * dt;
+            },
+            finish(boss) {
+                boss.contactDamage = boss.definition.contactDamage;
+            },
+            render(ctx, boss, attack, progress) {
+                const length = this.speed * this.duration;
+                ctx.save();
+                ctx.translate(boss.x, boss.y);
+                ctx.rotate(attack.angle);
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.15)';
+                ctx.fillRect(0, -boss.radius, length, boss.radius * 2);
+                ctx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+                ctx.fillRect(0, -boss.radius, length * progress, boss.radius * 2);
+                ctx.restore();
+            }
+        },
+
+        // Ring of shots in every direction
+        volley: {
+            windup: 0.9,
+            duration: 0,
+            recover: 0.5,
+            count: 16,
+            start(boss, attack, system) {
+                attack.offset = system.game.rng.range(0, Math.PI * 2);
+            },
+            execute(boss, attack, system) {
+                for (let i = 0; i < this.count; i++) {
+                    system.game.enemySystem.fireShot(boss, attack.offset + (i / this.count) * Math.PI * 2);
+                }
+            },
+            render(ctx, boss, attack, progress) {
+                ctx.strokeStyle = `rgba(239, 68, 68, ${0.2 + progress * 0.5})`;
+                ctx.lineWidth = 3;
+                for (let i = 0; i < this.count; i++) {
+                    const angle = attack.offset + (i / this.count) * Math.PI * 2;
+                    const inner = boss.radius + 6;
+                    const outer = inner + 20 + progress * 30;
+                    ctx.beginPath();
+                    ctx.moveTo(boss.x + Math.cos(angle) * inner, boss.y + Math.sin(angle) * inner);
+                    ctx.lineTo(boss.x + Math.cos(angle) * outer, boss.y + Math.sin(angle) * outer);
+                    ctx.stroke();
+                }
+            }
+        },
+
+        // Raises minions at marked points around the boss
+        summon: {
+            windup: 1.2,
+            duration: 0,
+            recover: 1,
+            count: 3,
+            distance: 90,
+            start(boss, attack, system) {
+                const offset = system.game.rng.range(0, Math.PI * 2);
+                attack.points = [];
+                for (let i = 0; i < this.count; i++) {
+                    const angle = offset + (i / this.count) * Math.PI * 2;
+                    attack.points.push({
+                        x: boss.x + Math.cos(angle) * this.distance,
+                        y: boss.y + Math.sin(angle) * this.distance
+                    });
+                }
+            },
+            execute(boss, attack, system) {
+                const game = system.game;
+                attack.points.forEach(point => {
+                    if (game.level && game.level.isSolidAt(point.x, point.y)) return;
+                    game.enemySystem.spawn(boss.definition.minion, { x: point.x, y: point.y, wave: game.waveDirector.wave });
+                    game.events.emit(EventBus.EVENTS.FX_BURST, {
+                        x: point.x,
+                        y: point.y,
+                        type: ParticleSystem.TYPES.MAGIC,
+                        intensity: 0.8
+                    });
+                });
+            },
+            render(ctx, boss, attack, progress) {
+                ctx.strokeStyle = 'rgba(168, 85, 247, 0.6)';
+                ctx.lineWidth = 2;
+                attack.points.forEach(point => {
+                    ctx.beginPath();
+                    ctx.arc(point.x, point.y, 10 + progress * 14, 0, Math.PI * 2);
+                    ctx.stroke();
+                });
+            }
+        }
+    };
+
+    static define(id, definition) {
+        BossSystem.DEFINITIONS[id] = definition;
+        return definition;
+    }
+
+    static defineAttack(id, attack) {
+        BossSystem.ATTACKS[id] = attack;
+        return attack;
+    }
+
+    /* ============================================
+       ENCOUNTER
+       ============================================ */
+
+    // Called when a level (re)starts
+    reset() {
+        this.boss = null;
+        this.defeated = false;
+        this.elapsed = 0;
+    }
+
+    get active() {
+        return this.boss !== null && !this.defeated;
+    }
+
+    // The boss of the current floor: the map's `boss` property ("none" for
+    // no boss), else the definitions in turn by floor number
+    getBossId() {
+        const game = this.game;
+        const property = game.level?.properties.boss;
+        if (property === 'none') return null;
+        if (property && BossSystem.DEFINITIONS[property]) return property;
+
+        const ids = Object.keys(BossSystem.DEFINITIONS);
+        return ids.length > 0 ? ids[(game.levelNumber - 1) % ids.length] : null;
+    }
+
+    // True while the floor's boss still bars the way down
+    guardsExit() {
+        return !this.defeated && this.getBossId() !== null;
+    }
+
+    // Stops the waves and brings in the floor's boss
+    start() {
+        if (this.boss) return this.boss;
+
+        const game = this.game;
+        const id = this.getBossId();
+        const def = BossSystem.DEFINITIONS[id];
+        const point = this.getArrivalPoint(def.radius);
+
+        game.waveDirector.stop();
+        this.elapsed = 0;
+        this.boss = this.spawn(id, point.x, point.y);
+
+        console.log(`[Boss] ${def.name} appears`);
+        game.events.emit(EventBus.EVENTS.BOSS_START, {
+            id,
+            name: def.name,
+            health: this.boss.maxHealth,
+            phases: def.phases.length
+        });
+        game.events.emit(EventBus.EVENTS.FX_BURST, {
+            x: point.x,
+            y: point.y,
+            type: ParticleSystem.TYPES.SHOCKWAVE,
+            intensity: 2
+        });
+        game.camera.addShake(15);
+
+        return this.boss;
+    }
+
+    // Open floor at arrivalDistance from the players, checked around a circle
+    getArrivalPoint(radius) {
+        const game = this.game;
+        const focus = game.coop.getFocus(game.getLivePlayers());
+        const pathfinding = game.pathfinding;
+
+        for (let i = 0; i < 12; i++) {
+            const angle = -Math.PI / 2 + (i / 12) * Math.PI * 2;
+            const x = focus.x + Math.cos(angle) * this.arrivalDistance;
+            const y = focus.y + Math.sin(angle) * this.arrivalDistance;
+            if (x < radius || y < radius || x > game.worldWidth - radius || y > game.worldHeight - radius) continue;
+            if (pathfinding.hasClearPath(focus.x, focus.y, x, y, radius)) return { x, y };
+        }
+
+        return game.getSpawnPoint();
+    }
+
+    spawn(id, x, y) {
+        const game = this.game;
+        const def = BossSystem.DEFINITIONS[id];
+        const health = def.health * game.difficulty;
+
+        const boss = {
+            type: 'boss',
+            id,
+            definition: def,
+            x, y,
+            angle: 0,
+            radius: def.radius,
+            speed: def.speed,
+            dead: false,
+            health,
+            maxHealth: health,
+            invulnerable: 0,
+            stunned: 0,
+            statuses: {},
+            statusImmunity: {},
+            immune: def.immune || [],
+            hitFlash: 0,
+            knockbackX: 0,
+            knockbackY: 0,
+            knockbackResistance: 1,
+            contactDamage: def.contactDamage,
+            attackCooldown: 0,
+            attackInterval: 1,
+            phase: 0,
+            attackTimer: def.phases[0].cooldown,
+            attack: null,
+            // Boss-specific hooks, called by EnemySystem like a behaviour's
+            behaviour: {
+                onDeath: () => this.defeat(boss)
+            },
+            collider: CollisionSystem.circle(def.radius, {
+                layer: CollisionSystem.LAYERS.ENEMY,
+                mask: CollisionSystem.LAYERS.PLAYER | CollisionSystem.LAYERS.PLAYER_PROJECTILE |
+                      CollisionSystem.LAYERS.WALL,
+                mass: 10,
+                onCollide: (other) => {
+                    if (other.type === 'player' && boss.attackCooldown <= 0) {
+                        game.damagePlayer(other, boss.contactDamage, boss);
+                        boss.attackCooldown = boss.attackInterval;
+                    }
+                    if (other.type === 'wall' && boss.attack && boss.attack.state === 'active') {
+                        this.endAttack(boss);
+                    }
+                }
+            }),
+            update: (dt) => this.updateBoss(boss, dt),
+            render: (ctx) => this.render(ctx, boss)
+        };
+
+        game.entities.push(boss);
+        return boss;
+    }
+
+    defeat(boss) {
+        const game = this.game;
+        if (boss.attack) this.endAttack(boss);
+        this.defeated = true;
+
+        // The floor is cleared: remaining enemies and shots crumble
+        game.projectiles.clear(ProjectileSystem.FACTIONS.ENEMY);
+        game.entities.forEach(entity => {
+            if (entity === boss || entity.dead || !entity.collider) return;
+            if (entity.collider.layer & CollisionSystem.LAYERS.ENEMY) {
+                entity.dead = true;
+                game.events.emit(EventBus.EVENTS.FX_BURST, {
+                    x: entity.x,
+                    y: entity.y,
+                    type: ParticleSystem.TYPES.SOUL,
+                    intensity: 0.5
+                });
+            }
+        });
+
+        console.log(`[Boss] ${boss.definition.name} defeated`);
+        game.events.emit(EventBus.EVENTS.FX_LEVEL_UP, { x: boss.x, y: boss.y });
+        game.events.emit(EventBus.EVENTS.BOSS_DEFEATED, {
+            id: boss.id,
+            name: boss.definition.name,
+            x: boss.x,
+            y: boss.y,
+            time: this.elapsed,
+            timeSurvived: game.runStats.timeSurvived,
+            damageDealt: game.runStats.damageDealt,
+            soulsEarned: game.runStats.soulsEarned,
+            floor: game.levelNumber,
+            replay: game.replay.isActive
+        });
+        game.camera.addShake(20);
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    updateBoss(boss, dt) {
+        const game = this.game;
+        const def = boss.definition;
+
+        this.elapsed += dt;
+        boss.attackCooldown = Math.max(0, boss.attackCooldown - dt);
+        game.combat.updateCombatant(boss, dt);
+
+        // Bosses shrug off stuns; a parry only blocks the hit
+        boss.stunned = 0;
+
+        while (boss.phase < def.phases.length - 1 && boss.health / boss.maxHealth <= def.phases[boss.phase].until) {
+            this.enterPhase(boss, boss.phase + 1);
+        }
+
+        if (boss.attack) {
+            this.updateAttack(boss, dt);
+            return;
+        }
+
+        const phase = def.phases[boss.phase];
+        const target = this.getTarget(boss);
+        if (!target) return;
+
+        game.enemySystem.chase(boss, target, boss.speed * phase.speed, dt);
+
+        boss.attackTimer -= dt;
+        if (boss.attackTimer <= 0 && Math.hypot(target.x - boss.x, target.y - boss.y) <= phase.range) {
+            this.beginAttack(boss, game.rng.pick(phase.attacks));
+        }
+    }
+
+    enterPhase(boss, phase) {
+        const game = this.game;
+        boss.phase = phase;
+        boss.invulnerable = 1;
+        if (boss.attack) this.endAttack(boss);
+        boss.attackTimer = boss.definition.phases[phase].cooldown;
+
+        console.log(`[Boss] Phase ${phase + 1}`);
+        game.events.emit(EventBus.EVENTS.BOSS_PHASE, {
+            id: boss.id,
+            phase: phase + 1,
+            health: boss.health,
+            maxHealth: boss.maxHealth
+        });
+        game.events.emit(EventBus.EVENTS.FX_BURST, {
+            x: boss.x,
+            y: boss.y,
+            type: ParticleSystem.TYPES.SHOCKWAVE,
+            intensity: 1.5
+        });
+        game.camera.addShake(12);
+    }
+
+    beginAttack(boss, id) {
+        const pattern = BossSystem.ATTACKS[id];
+        if (!pattern) {
+            console.warn(`[Boss] Unknown attack "${id}"`);
+            boss.attackTimer = boss.definition.phases[boss.phase].cooldown;
+            return;
+        }
+
+        boss.attack = { id, pattern, state: 'windup', timer: pattern.windup };
+        if (pattern.start) pattern.start(boss, boss.attack, this);
+    }
+
+    updateAttack(boss, dt) {
+        const attack = boss.attack;
+        const pattern = attack.pattern;
+        attack.timer -= dt;
+
+        switch (attack.state) {
+            case 'windup':
+                if (attack.timer > 0) break;
+                if (pattern.execute) pattern.execute(boss, attack, this);
+                attack.state = 'active';
+                attack.timer = pattern.duration;
+                break;
+
+            case 'active':
+                if (pattern.update) pattern.update(boss, attack, dt, this);
+                if (attack.timer <= 0) this.endAttack(boss);
+                break;
+
+            case 'recover':
+                if (attack.timer <= 0) {
+                    boss.attack = null;
+                    boss.attackTimer = boss.definition.phases[boss.phase].cooldown;
+                }
+                break;
+        }
+    }
+
+    endAttack(boss) {
+        const attack = boss.attack;
+        if (attack.state !== 'recover' && attack.pattern.finish) attack.pattern.finish(boss, attack, this);
+        attack.state = 'recover';
+        attack.timer = attack.pattern.recover;
+    }
+
+    getTarget(boss) {
+        return this.game.getNearestPlayer(boss.x, boss.y);
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    render(ctx, boss) {
+        const def = boss.definition;
+        const attack = boss.attack;
+
+        // Telegraph on the ground, under the boss
+        if (attack && attack.state === 'windup' && attack.pattern.render) {
+            ctx.save();
+            attack.pattern.render(ctx, boss, attack, 1 - Math.max(0, attack.timer) / attack.pattern.windup);
+            ctx.restore();
+        }
+
+        ctx.save();
+        ctx.translate(boss.x, boss.y);
+
+        // Glow, brighter each phase
+        const gradient = ctx.createRadialGradient(0, 0, boss.radius * 0.5, 0, 0, boss.radius * 1.8);
+        gradient.addColorStop(0, `${def.accent}${boss.phase > 0 ? '88' : '44'}`);
+        gradient.addColorStop(1, `${def.accent}00`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(-boss.radius * 2, -boss.radius * 2, boss.radius * 4, boss.radius * 4);
+
+        ctx.fillStyle = boss.hitFlash > 0 ? '#ffffff' : def.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, boss.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Eyes facing the way it moves
+        ctx.rotate(boss.angle);
+        ctx.fillStyle = def.accent;
+        ctx.beginPath();
+        ctx.arc(boss.radius * 0.45, -boss.radius * 0.3, boss.radius * 0.15, 0, Math.PI * 2);
+        ctx.arc(boss.radius * 0.45, boss.radius * 0.3, boss.radius * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Screen-space health bar with phase markers, bottom centre of the HUD
+    renderBar(ctx) {
+        const boss = this.boss;
+        if (!boss || boss.dead) return;
+
+        const game = this.game;
+        const def = boss.definition;
+        const width = Math.min(480, game.gameWidth - 80);
+        const height = 14;
+        const x = (game.gameWidth - width) / 2;
+        const y = game.gameHeight - 64;
+        const percent = Math.max(0, boss.health / boss.maxHealth);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x, y, width, height);
+        ctx.fillStyle = def.color;
+        ctx.fillRect(x, y, width * percent, height);
+
+        // Phase thresholds
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        def.phases.slice(0, -1).forEach(phase => {
+            ctx.fillRect(x + width * phase.until - 1, y, 2, height);
+        });
+
+        ctx.strokeStyle = def.accent;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(def.name, game.gameWidth / 2, y - 8);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BossSystem;
+}
@@ -0,0 +1,331 @@
+/**
+ * Abyss Walker - Collision System
+ * Circle/AABB overlap detection with layers, masks, callbacks and push-out resolution
+ */
+
+class CollisionSystem {
+    constructor(options = {}) {
+        // Broadphase spatial hash cell size (pixels)
+        this.cellSize = options.cellSize || 128;
+        this.cells = new Map();
+
+        // Draw collider outlines when enabled
+        this.debug = options.debug || false;
+    }
+
+    /* ============================================
+       LAYERS
+       ============================================ */
+
+    static LAYERS = {
+        NONE: 0,
+        PLAYER: 1 << 0,
+        ENEMY: 1 << 1,
+        PLAYER_PROJECTILE: 1 << 2,
+        ENEMY_PROJECTILE: 1 << 3,
+        WALL: 1 << 4,
+        PICKUP: 1 << 5,
+        ALL: 0xffff
+    };
+
+    /* ============================================
+       COLLIDER FACTORIES
+       ============================================ */
+
+    // Collider options:
+    //   layer     - bit this body lives on
+    //   mask      - bits this body reacts to
+    //   solid     - take part in push-out resolution (false = sensor)
+    //   isStatic  - never moved by resolution
+    //   mass      - relative push-out share between two dynamic bodies
+    //   onCollide - (other, hit) called once per overlapping pair per update
+    static circle(radius, options = {}) {
+        return {
+            shape: 'circle',
+            radius,
+            ...CollisionSystem.colliderDefaults(options)
+        };
+    }
+
+    static box(width, height, options = {}) {
+        return {
+            shape: 'aabb',
+            width,
+            height,
+            ...CollisionSystem.colliderDefaults(options)
+        };
+    }
+
+    static colliderDefaults(options) {
+        return {
+            layer: options.layer ?? CollisionSystem.LAYERS.NONE,
+            mask: options.mask ?? CollisionSystem.LAYERS.ALL,
+            solid: options.solid ?? true,
+            isStatic: options.isStatic || false,
+            mass: options.mass || 1,
+            offsetX: options.offsetX || 0,
+            offsetY: options.offsetY || 0,
+            onCollide: options.onCollide || null,
+            enabled: true
+        };
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(bodies) {
+        const active = bodies.filter(body => body && body.collider && body.collider.enabled && !body.dead);
+
+        this.buildGrid(active);
+
+        const tested = new Set();
+        const count = active.length;
+
+        this.cells.forEach(cell => {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const ia = cell[i];
+                    const ib = cell[j];
+                    const key = ia < ib ? ia * count + ib : ib * count + ia;
+                    if (tested.has(key)) continue;
+                    tested.add(key);
+
+                    this.testPair(active[ia], active[ib]);
+                }
+            }
+        });
+    }
+
+    buildGrid(bodies) {
+        this.cells.clear();
+
+        bodies.forEach((body, index) => {
+            const bounds = this.getBounds(body);
+            const minX = Math.floor(bounds.left / this.cellSize);
+            const maxX = Math.floor(bounds.right / this.cellSize);
+            const minY = Math.floor(bounds.top / this.cellSize);
+            const maxY = Math.floor(bounds.bottom / this.cellSize);
+
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const key = `${cx},${cy}`;
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(index);
+                }
+            }
+        });
+    }
+
+    testPair(a, b) {
+        const ca = a.collider;
+        const cb = b.collider;
+
+        const aSeesB = (ca.mask & cb.layer) !== 0;
+        const bSeesA = (cb.mask & ca.layer) !== 0;
+        if (!aSeesB && !bSeesA) return;
+
+        const hit = this.intersect(a, b);
+        if (!hit) return;
+
+        // Push apart only when both bodies are solid and block each other
+        if (ca.solid && cb.solid && aSeesB && bSeesA) {
+            this.resolve(a, b, hit);
+        }
+
+        if (aSeesB && ca.onCollide) {
+            ca.onCollide(b, hit);
+        }
+        if (bSeesA && cb.onCollide) {
+            cb.onCollide(a, { normalX: -hit.normalX, normalY: -hit.normalY, depth: hit.depth });
+        }
+    }
+
+    resolve(a, b, hit) {
+        const ca = a.collider;
+        const cb = b.collider;
+        if (ca.isStatic && cb.isStatic) return;
+
+        let shareA;
+        if (ca.isStatic) shareA = 0;
+        else if (cb.isStatic) shareA = 1;
+        else shareA = cb.mass / (ca.mass + cb.mass);
+
+        const shareB = 1 - shareA;
+
+        a.x -= hit.normalX * hit.depth * shareA;
+        a.y -= hit.normalY * hit.depth * shareA;
+        b.x += hit.normalX * hit.depth * shareB;
+        b.y += hit.normalY * hit.depth * shareB;
+    }
+
+    /* ============================================
+       NARROWPHASE
+       ============================================ */
+
+    // Returns { normalX, normalY, depth } with the normal pointing from a to b,
+    // or null when the shapes do not overlap
+    intersect(a, b) {
+        const sa = a.collider.shape;
+        const sb = b.collider.shape;
+
+        if (sa === 'circle' && sb === 'circle') return this.circleCircle(a, b);
+        if (sa === 'aabb' && sb === 'aabb') return this.boxBox(a, b);
+
+        if (sa === 'circle') return this.circleBox(a, b);
+
+        const hit = this.circleBox(b, a);
+        if (!hit) return null;
+        return { normalX: -hit.normalX, normalY: -hit.normalY, depth: hit.depth };
+    }
+
+    circleCircle(a, b) {
+        const pa = this.getCenter(a);
+        const pb = this.getCenter(b);
+        const dx = pb.x - pa.x;
+        const dy = pb.y - pa.y;
+        const radii = a.collider.radius + b.collider.radius;
+        const distSq = dx * dx + dy * dy;
+
+        if (distSq >= radii * radii) return null;
+
+        const dist = Math.sqrt(distSq);
+        if (dist === 0) {
+            return { normalX: 1, normalY: 0, depth: radii };
+        }
+
+        return { normalX: dx / dist, normalY: dy / dist, depth: radii - dist };
+    }
+
+    boxBox(a, b) {
+        const ba = this.getBounds(a);
+        const bb = this.getBounds(b);
+
+        const overlapX = Math.min(ba.right, bb.right) - Math.max(ba.left, bb.left);
+        const overlapY = Math.min(ba.bottom, bb.bottom) - Math.max(ba.top, bb.top);
+        if (overlapX <= 0 || overlapY <= 0) return null;
+
+        const pa = this.getCenter(a);
+        const pb = this.getCenter(b);
+
+        // Separate along the axis of least penetration
+        if (overlapX < overlapY) {
+            return { normalX: pb.x < pa.x ? -1 : 1, normalY: 0, depth: overlapX };
+        }
+        return { normalX: 0, normalY: pb.y < pa.y ? -1 : 1, depth: overlapY };
+    }
+
+    circleBox(circle, box) {
+        const c = this.getCenter(circle);
+        const bounds = this.getBounds(box);
+        const radius = circle.collider.radius;
+
+        const closestX = Math.max(bounds.left, Math.min(c.x, bounds.right));
+        const closestY = Math.max(bounds.top, Math.min(c.y, bounds.bottom));
+        const dx = closestX - c.x;
+        const dy = closestY - c.y;
+        const distSq = dx * dx + dy * dy;
+
+        if (distSq > 0) {
+            if (distSq >= radius * radius) return null;
+            const dist = Math.sqrt(distSq);
+            return { normalX: dx / dist, normalY: dy / dist, depth: radius - dist };
+        }
+
+        // Circle center is inside the box: push out through the nearest edge
+        const toLeft = c.x - bounds.left;
+        const toRight = bounds.right - c.x;
+        const toTop = c.y - bounds.top;
+        const toBottom = bounds.bottom - c.y;
+        const min = Math.min(toLeft, toRight, toTop, toBottom);
+
+        if (min === toLeft) return { normalX: 1, normalY: 0, depth: toLeft + radius };
+        if (min === toRight) return { normalX: -1, normalY: 0, depth: toRight + radius };
+        if (min === toTop) return { normalX: 0, normalY: 1, depth: toTop + radius };
+        return { normalX: 0, normalY: -1, depth: toBottom + radius };
+    }
+
+    /* ============================================
+       QUERIES
+       ============================================ */
+
+    // Bodies whose collider overlaps a circle and whose layer matches mask
+    queryCircle(bodies, x, y, radius, mask = CollisionSystem.LAYERS.ALL) {
+        const probe = { x, y, collider: CollisionSystem.circle(radius) };
+
+        return bodies.filter(body =>
+            body && body.collider && body.collider.enabled && !body.dead &&
+            (body.collider.layer & mask) !== 0 &&
+            this.intersect(probe, body) !== null
+        );
+    }
+
+    getCenter(body) {
+        return {
+            x: body.x + body.collider.offsetX,
+            y: body.y + body.collider.offsetY
+        };
+    }
+
+    getBounds(body) {
+        const c = this.getCenter(body);
+        const collider = body.collider;
+
+        if (collider.shape === 'circle') {
+            return {
+                left: c.x - collider.radius,
+                right: c.x + collider.radius,
+                top: c.y - collider.radius,
+                bottom: c.y + collider.radius
+            };
+        }
+
+        return {
+            left: c.x - collider.width / 2,
+            right: c.x + collider.width / 2,
+            top: c.y - collider.height / 2,
+            bottom: c.y + collider.height / 2
+        };
+    }
+
+    /* ============================================
+       DEBUG
+       ============================================ */
+
+    debugDraw(ctx, bodies) {
+        if (!this.debug) return;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+
+        bodies.forEach(body => {
+            if (!body || !body.collider || !body.collider.enabled) return;
+            const c = this.getCenter(body);
+
+            ctx.beginPath();
+            if (body.collider.shape === 'circle') {
+                ctx.arc(c.x, c.y, body.collider.radius, 0, Math.PI * 2);
+            } else {
+                ctx.rect(
+                    c.x - body.collider.width / 2,
+                    c.y - body.collider.height / 2,
+                    body.collider.width,
+                    body.collider.height
+                );
+            }
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollisionSystem;
+}
@@ -0,0 +1,384 @@
+/**
+ * Abyss Walker - Combat System
+ * Melee hit arcs, damage, knockback, invulnerability frames, blocking and parrying
+ */
+
+class CombatSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Visual-only swing arcs currently on screen
+        this.swings = [];
+    }
+
+    /* ============================================
+       TUNING
+       ============================================ */
+
+    static DEFAULTS = {
+        // Player attack
+        attackDamage: 25,
+        attackRange: 64,
+        attackArc: Math.PI * 0.6,
+        attackKnockback: 320,
+        attackCooldown: 0.35,
+
+        // Soul Bolts ability (see AbilitySystem): a fan of piercing, homing bolts
+        specialDamage: 30,
+        specialBolts: 5,
+        specialSpread: 0.18,
+        specialSpeed: 520,
+
+        // Player defend
+        guardDuration: 0.6,
+        parryWindow: 0.15,
+        blockReduction: 0.75,
+        guardArc: Math.PI,
+        defendCooldown: 0.8,
+        parryStun: 1.0,
+        parryKnockback: 420,
+
+        // Invulnerability after taking a hit (seconds)
+        playerHurtTime: 0.6,
+        enemyHurtTime: 0.15,
+
+        // Knockback velocity decay per second (fraction kept)
+        knockbackFriction: 0.002
+    };
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        this.game.getActivePlayers().forEach(p => {
+            p.attackTimer = Math.max(0, p.attackTimer - dt);
+            p.defendTimer = Math.max(0, p.defendTimer - dt);
+            p.invulnerable = Math.max(0, p.invulnerable - dt);
+            p.stunned = Math.max(0, p.stunned - dt);
+
+            if (p.guardTime > 0) {
+                p.guardElapsed += dt;
+                p.guardTime = Math.max(0, p.guardTime - dt);
+            }
+        });
+
+        this.swings = this.swings.filter(swing => {
+            swing.life -= dt;
+            return swing.life > 0;
+        });
+    }
+
+    // Shared per-entity combat bookkeeping, called from enemy update()
+    updateCombatant(entity, dt) {
+        entity.invulnerable = Math.max(0, (entity.invulnerable || 0) - dt);
+        entity.hitFlash = Math.max(0, (entity.hitFlash || 0) - dt);
+        entity.stunned = Math.max(0, (entity.stunned || 0) - dt);
+
+        if (entity.knockbackX || entity.knockbackY) {
+            entity.x += entity.knockbackX * dt;
+            entity.y += entity.knockbackY * dt;
+
+            const keep = Math.pow(CombatSystem.DEFAULTS.knockbackFriction, dt);
+            entity.knockbackX *= keep;
+            entity.knockbackY *= keep;
+
+            if (Math.abs(entity.knockbackX) < 1 && Math.abs(entity.knockbackY) < 1) {
+                entity.knockbackX = 0;
+                entity.knockbackY = 0;
+            }
+        }
+    }
+
+    /* ============================================
+       PLAYER ACTIONS
+       ============================================ */
+
+    attack(p) {
+        if (p.health <= 0 || p.downed || p.attackTimer > 0) return false;
+
+        p.attackTimer = p.attackCooldown;
+
+        this.swings.push({
+            owner: p,
+            angle: p.angle,
+            range: p.attackRange,
+            arc: p.attackArc,
+            life: 0.15,
+            maxLife: 0.15
+        });
+
+        const targets = this.game.collisions.queryCircle(
+            this.game.entities,
+            p.x,
+            p.y,
+            p.attackRange,
+            CollisionSystem.LAYERS.ENEMY
+        );
+
+        let hits = 0;
+        targets.forEach(target => {
+            const angleTo = Math.atan2(target.y - p.y, target.x - p.x);
+            if (!this.isWithinArc(p.angle, angleTo, p.attackArc)) return;
+
+            if (this.damageEnemy(target, p.attackDamage, angleTo, p.attackKnockback, p, p.attackInflicts)) {
+                hits++;
+            }
+        });
+
+        return hits;
+    }
+
+    defend(p) {
+        if (p.health <= 0 || p.downed || p.defendTimer > 0) return false;
+
+        p.defendTimer = p.defendCooldown;
+        p.guardTime = p.guardDuration;
+        p.guardElapsed = 0;
+        return true;
+    }
+
+    isGuarding(p) {
+        return p.guardTime > 0;
+    }
+
+    isParrying(p) {
+        return p.guardTime > 0 && p.guardElapsed <= p.parryWindow;
+    }
+
+    /* ============================================
+       DAMAGE
+       ============================================ */
+
+    // Hits every enemy touching a circle, knocking them away from its centre
+    damageArea(x, y, radius, amount, knockback = 0, attacker = null, inflicts = null) {
+        this.game.entities.forEach(entity => {
+            if (entity.dead || !entity.collider || !(entity.collider.layer & CollisionSystem.LAYERS.ENEMY)) return;
+            const dx = entity.x - x;
+            const dy = entity.y - y;
+            if (Math.hypot(dx, dy) > radius + (entity.radius || 0)) return;
+            this.damageEnemy(entity, amount, Math.atan2(dy, dx), knockback, attacker, inflicts);
+        });
+    }
+
+    // Returns true when the hit landed. The attacker (a player) is credited with the hit and the kill;
+    // `inflicts` is a status effect id the hit applies (see StatusEffectSystem).
+    damageEnemy(enemy, amount, angle, knockback = 0, attacker = null, inflicts = null) {
+        if (enemy.dead || enemy.invulnerable > 0) return false;
+
+        this.game.runStats.damageDealt += Math.min(amount, enemy.health);
+        if (attacker) this.game.scoring.onHit(attacker);
+        enemy.health -= amount;
+        enemy.invulnerable = CombatSystem.DEFAULTS.enemyHurtTime;
+        enemy.hitFlash = 0.1;
+
+        const resistance = enemy.knockbackResistance || 0;
+        enemy.knockbackX = Math.cos(angle) * knockback * (1 - resistance);
+        enemy.knockbackY = Math.sin(angle) * knockback * (1 - resistance);
+
+        for (let i = 0; i < 4; i++) {
+            this.game.spawnParticle(enemy.x, enemy.y, '#f093fb', 0.3);
+        }
+
+        this.game.events.emit(EventBus.EVENTS.ENEMY_HIT, {
+            type: enemy.type,
+            x: enemy.x,
+            y: enemy.y,
+            damage: amount,
+            health: Math.max(0, enemy.health)
+        });
+        this.game.events.emit(EventBus.EVENTS.FX_IMPACT, { x: enemy.x, y: enemy.y, intensity: 0.5 });
+
+        if (enemy.health <= 0) {
+            this.killEnemy(enemy, attacker);
+        } else if (inflicts) {
+            this.game.statusEffects.apply(enemy, inflicts, attacker);
+        }
+
+        return true;
+    }
+
+    // Status effect damage, on a player or an enemy: no i-frames, guard or
+    // knockback, and not a hit for combos. A player source is credited with
+    // the kill. Returns the damage dealt.
+    tickDamage(entity, amount, source = null) {
+        const game = this.game;
+
+        if (entity.type === 'player') {
+            if (entity.health <= 0 || entity.downed) return 0;
+
+            // A shield soaks this up too
+            amount -= game.inventory.spend(entity, 'shield', amount);
+            if (amount <= 0) return 0;
+
+            entity.health = Math.max(0, entity.health - amount);
+            game.scoring.onHurt(entity);
+            game.events.emit(EventBus.EVENTS.PLAYER_DAMAGED, {
+                slot: entity.slot,
+                amount,
+                health: entity.health,
+                maxHealth: entity.maxHealth
+            });
+            return amount;
+        }
+
+        if (entity.dead) return 0;
+
+        const dealt = Math.min(amount, entity.health);
+        game.runStats.damageDealt += dealt;
+        entity.health -= amount;
+
+        if (entity.health <= 0) {
+            this.killEnemy(entity, source && source.type === 'player' ? source : null);
+        }
+        return dealt;
+    }
+
+    killEnemy(enemy, killer = null) {
+        enemy.health = 0;
+        enemy.dead = true;
+
+        for (let i = 0; i < 12; i++) {
+            this.game.spawnParticle(enemy.x, enemy.y, '#e63946', 0.6);
+        }
+
+        this.game.onEnemyKilled(enemy, killer);
+    }
+
+    // Resolves an incoming hit on a player against i-frames, parry and block.
+    // Returns the damage actually dealt.
+    hitPlayer(p, amount, source = null) {
+        if (p.health <= 0 || p.downed || p.invulnerable > 0) return 0;
+
+        // Low attacks (shockwaves, crawlers) miss a hopping player
+        if (source && source.low && this.game.movement.isAirborne(p)) return 0;
+
+        if (this.isGuarding(p) && source && this.isFacing(p, source)) {
+            const angleTo = Math.atan2(source.y - p.y, source.x - p.x);
+
+            if (this.isParrying(p)) {
+                this.parry(p, source, angleTo);
+                return 0;
+            }
+
+            amount *= 1 - p.blockReduction;
+            this.spawnGuardSparks(p, angleTo, '#4ade80');
+            this.game.events.emit(EventBus.EVENTS.COMBAT_BLOCK, { x: p.x, y: p.y, amount });
+        }
+
+        // A ward or Aegis soaks up damage before health does
+        if (p.shield > 0) {
+            amount -= this.game.inventory.spend(p, 'shield', amount);
+            if (amount <= 0) {
+                p.invulnerable = CombatSystem.DEFAULTS.playerHurtTime;
+                return 0;
+            }
+        }
+
+        p.health = Math.max(0, p.health - amount);
+        p.invulnerable = CombatSystem.DEFAULTS.playerHurtTime;
+
+        return amount;
+    }
+
+    parry(p, source, angle) {
+        // Only enemies are stunned and thrown back; anything else that hit
+        // is just deflected
+        if (this.isEnemy(source)) {
+            source.stunned = CombatSystem.DEFAULTS.parryStun;
+            source.knockbackX = Math.cos(angle) * CombatSystem.DEFAULTS.parryKnockback;
+            source.knockbackY = Math.sin(angle) * CombatSystem.DEFAULTS.parryKnockback;
+        }
+
+        // A successful parry ends the guard and refunds the defend cooldown
+        p.guardTime = 0;
+        p.defendTimer = 0;
+        p.invulnerable = 0.2;
+
+        this.spawnGuardSparks(p, angle, '#ffd700');
+        this.game.events.emit(EventBus.EVENTS.COMBAT_PARRY, { x: p.x, y: p.y });
+    }
+
+    spawnGuardSparks(p, angle, color) {
+        for (let i = 0; i < 8; i++) {
+            this.game.spawnParticle(
+                p.x + Math.cos(angle) * 24,
+                p.y + Math.sin(angle) * 24,
+                color,
+                0.4
+            );
+        }
+    }
+
+    /* ============================================
+       GEOMETRY
+       ============================================ */
+
+    isWithinArc(facing, angle, arc) {
+        let diff = angle - facing;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        return Math.abs(diff) <= arc / 2;
+    }
+
+    isFacing(p, source) {
+        const angleTo = Math.atan2(source.y - p.y, source.x - p.x);
+        return this.isWithinArc(p.angle, angleTo, p.guardArc);
+    }
+
+    isEnemy(source) {
+        return Boolean(source.collider && source.collider.layer & CollisionSystem.LAYERS.ENEMY);
+    }
+
+    /* ============================================
+       RENDER
+       ============================================ */
+
+    render(ctx) {
+        // Sword swing arcs, following whoever swung
+        this.swings.forEach(swing => {
+            const p = swing.owner;
+            const alpha = swing.life / swing.maxLife;
+            ctx.save();
+            ctx.globalAlpha = alpha;
+            ctx.fillStyle = 'rgba(240, 147, 251, 0.35)';
+            ctx.strokeStyle = '#f093fb';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y);
+            ctx.arc(p.x, p.y, swing.range, swing.angle - swing.arc / 2, swing.angle + swing.arc / 2);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            ctx.restore();
+        });
+
+        // Guard shield in front of each guarding player
+        this.game.getActivePlayers().forEach(p => {
+            if (!this.isGuarding(p)) return;
+
+            ctx.save();
+            ctx.strokeStyle = this.isParrying(p) ? '#ffd700' : '#4ade80';
+            ctx.lineWidth = this.isParrying(p) ? 5 : 3;
+            ctx.globalAlpha = 0.4 + 0.6 * (p.guardTime / p.guardDuration);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 30, p.angle - p.guardArc / 2, p.angle + p.guardArc / 2);
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    renderHealthBar(ctx, entity, width = 24, offsetY = -20) {
+        if (entity.health >= entity.maxHealth) return;
+
+        const percent = Math.max(0, entity.health / entity.maxHealth);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(entity.x - width / 2, entity.y + offsetY, width, 4);
+        ctx.fillStyle = '#ef4444';
+        ctx.fillRect(entity.x - width / 2, entity.y + offsetY, width * percent, 4);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CombatSystem;
+}
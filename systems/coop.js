@@ -0,0 +1,429 @@
+/**
+ * Abyss Walker - Local Co-op
+ * Player slots for 2-4 local players, the join screen, shared camera framing and revives
+ */
+
+class CoopSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Input source claiming each slot ('keyboard' or 'gamepad:N'), null
+        // when free. An unclaimed slot 0 reads every source nobody else has
+        // claimed, which is plain single player.
+        this.sources = new Array(CoopSystem.MAX_PLAYERS).fill(null);
+
+        // Join screen open; the simulation is held meanwhile
+        this.joining = false;
+
+        // A downed player is revived by an ally standing close for reviveTime,
+        // or respawns beside an ally after respawnDelay (seconds)
+        this.reviveRadius = options.reviveRadius || 56;
+        this.reviveTime = options.reviveTime || 2;
+        this.respawnDelay = options.respawnDelay || 10;
+        this.respawnHealth = options.respawnHealth || 0.5;
+        this.reviveInvulnerability = options.reviveInvulnerability || 1.5;
+
+        // Live players stay this far inside one screen around the group, so
+        // a single camera frames everyone
+        this.leashMargin = options.leashMargin || 48;
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    static MAX_PLAYERS = 4;
+
+    static COLORS = ['#667eea', '#f59e0b', '#10b981', '#ef4444'];
+
+    // Spawn offsets from the spawn point (or the group) by slot
+    static OFFSETS = [[0, 0], [40, 0], [-40, 0], [0, 40]];
+
+    // Recorded roster changes, carried in the slot's input frame
+    static ACTIONS = {
+        JOIN: 'playerJoin',
+        LEAVE: 'playerLeave'
+    };
+
+    /* ============================================
+       SLOTS
+       ============================================ */
+
+    // Slot driven by an input source, or -1 when it drives none
+    slotForSource(source) {
+        const slot = this.sources.indexOf(source);
+        if (slot !== -1) return slot;
+        return this.sources[0] === null ? 0 : -1;
+    }
+
+    // Input sources a slot reads from
+    getSources(slot) {
+        const source = this.sources[slot];
+        if (source) return [source];
+        if (slot !== 0) return [];
+
+        return this.game.inputMap.getSources().filter(s => !this.sources.includes(s));
+    }
+
+    get isCoop() {
+        return this.sources.some((source, slot) => slot > 0 && source !== null);
+    }
+
+    static describeSource(source) {
+        if (source === InputMap.KEYBOARD_SOURCE) return 'Keyboard & Mouse';
+        return `Gamepad ${InputMap.padIndex(source) + 1}`;
+    }
+
+    /* ============================================
+       JOIN SCREEN
+       ============================================ */
+
+    openJoinScreen() {
+        const game = this.game;
+        if (this.joining || game.isPaused || game.runState !== 'playing' || game.replay.isActive) return;
+
+        // Pin player one to the device they were playing with, so the
+        // newcomer gets a slot of their own
+        if (this.sources[0] === null) {
+            this.sources[0] = game.player.lastSource || InputMap.KEYBOARD_SOURCE;
+        }
+
+        this.joining = true;
+        console.log('[Coop] Join screen opened');
+    }
+
+    closeJoinScreen() {
+        if (!this.joining) return;
+        this.joining = false;
+
+        // Nobody joined: back to single player on any device
+        if (!this.isCoop) this.sources[0] = null;
+        console.log('[Coop] Join screen closed');
+    }
+
+    // Attack claims a slot, defend gives it up, pause or restart starts playing
+    handleJoinInput(action, source) {
+        const A = InputMap.ACTIONS;
+
+        switch (action) {
+            case A.ATTACK:
+                this.claim(source);
+                break;
+            case A.DEFEND:
+                this.release(source);
+                break;
+            case A.PAUSE:
+            case A.RESTART:
+            case A.JOIN:
+                this.closeJoinScreen();
+                break;
+        }
+    }
+
+    claim(source) {
+        if (this.sources.includes(source)) return;
+
+        const slot = this.sources.indexOf(null, 1);
+        if (slot === -1) return;
+
+        this.sources[slot] = source;
+        this.queueRosterChange(slot, CoopSystem.ACTIONS.JOIN, CoopSystem.ACTIONS.LEAVE);
+        console.log(`[Coop] ${CoopSystem.describeSource(source)} is player ${slot + 1}`);
+    }
+
+    // Player one never leaves
+    release(source) {
+        const slot = this.sources.indexOf(source);
+        if (slot < 1) return;
+
+        this.sources[slot] = null;
+        this.queueRosterChange(slot, CoopSystem.ACTIONS.LEAVE, CoopSystem.ACTIONS.JOIN);
+    }
+
+    // Roster changes apply on the next tick; a pending opposite change is
+    // cancelled instead, so join-then-leave while held is a no-op
+    queueRosterChange(slot, action, opposite) {
+        const queue = this.game.input.actions[slot];
+        const pending = queue.indexOf(opposite);
+
+        if (pending !== -1) {
+            queue.splice(pending, 1);
+        } else {
+            this.game.queueAction(action, slot);
+        }
+    }
+
+    // A second pad connecting (or any pad mid co-op) opens the join screen;
+    // a claimed pad disconnecting leaves its slot
+    onGamepad({ source, connected }) {
+        if (this.game.replay.isActive) return;
+
+        if (!connected) {
+            // Player one carries on with whatever device is left
+            if (this.sources[0] === source) this.sources[0] = null;
+            this.release(source);
+            return;
+        }
+
+        if (this.game.inputMap.gamepads.size > 1 || this.isCoop) {
+            this.openJoinScreen();
+        }
+    }
+
+    // A new run keeps the roster: every claimed slot joins on its first tick
+    onRunStart() {
+        this.sources.forEach((source, slot) => {
+            if (slot > 0 && source !== null) this.game.queueAction(CoopSystem.ACTIONS.JOIN, slot);
+        });
+    }
+
+    /* ============================================
+       ROSTER
+       ============================================ */
+
+    // Applies the roster changes recorded in a tick's input frame
+    applyRoster(frame) {
+        frame.players.forEach((input, slot) => {
+            if (input.actions.includes(CoopSystem.ACTIONS.JOIN)) this.addPlayer(slot);
+            if (input.actions.includes(CoopSystem.ACTIONS.LEAVE)) this.removePlayer(slot);
+        });
+    }
+
+    // A returning player keeps their score but comes back at full health
+    addPlayer(slot) {
+        const game = this.game;
+        let player = game.getPlayer(slot);
+        if (player && !player.left) return;
+
+        const allies = game.getLivePlayers();
+        if (!player) {
+            player = game.createPlayer(slot);
+            game.players.push(player);
+            game.players.sort((a, b) => a.slot - b.slot);
+        }
+
+        player.left = false;
+        player.health = player.maxHealth;
+        this.standUp(player);
+        this.placeNear(player, allies);
+
+        console.log(`[Coop] Player ${slot + 1} joined`);
+        game.events.emit(EventBus.EVENTS.PLAYER_JOINED, { slot, color: player.color });
+    }
+
+    removePlayer(slot) {
+        const player = this.game.getPlayer(slot);
+        if (slot === 0 || !player || player.left) return;
+
+        player.left = true;
+        this.standUp(player);
+
+        console.log(`[Coop] Player ${slot + 1} left`);
+        this.game.events.emit(EventBus.EVENTS.PLAYER_LEFT, { slot });
+    }
+
+    // Next to the group (or the level spawn when alone), offset by slot
+    placeNear(player, allies) {
+        const game = this.game;
+        const anchor = allies.length > 0 ? this.getFocus(allies) : game.getSpawnPosition();
+        const [dx, dy] = CoopSystem.OFFSETS[player.slot];
+
+        player.x = anchor.x + dx;
+        player.y = anchor.y + dy;
+        game.snapInterpolation(player);
+    }
+
+    /* ============================================
+       DOWNED
+       ============================================ */
+
+    downPlayer(player) {
+        player.downed = true;
+        player.health = 0;
+        player.vx = 0;
+        player.vy = 0;
+        player.guardTime = 0;
+        player.reviveProgress = 0;
+        player.respawnTimer = this.respawnDelay;
+        player.collider.enabled = false;
+
+        for (let i = 0; i < 16; i++) {
+            this.game.spawnParticle(player.x, player.y, i % 2 ? '#ef4444' : player.color, 0.8);
+        }
+
+        console.log(`[Coop] Player ${player.slot + 1} is down`);
+        this.game.events.emit(EventBus.EVENTS.PLAYER_DOWNED, { slot: player.slot, x: player.x, y: player.y });
+    }
+
+    update(dt) {
+        const live = this.game.getLivePlayers();
+
+        this.game.getActivePlayers().forEach(player => {
+            if (!player.downed) return;
+
+            const helped = live.some(ally =>
+                Math.hypot(ally.x - player.x, ally.y - player.y) <= this.reviveRadius
+            );
+            player.reviveProgress = helped ? player.reviveProgress + dt : 0;
+            player.respawnTimer -= dt;
+
+            if (player.reviveProgress >= this.reviveTime) {
+                this.revive(player, false);
+            } else if (player.respawnTimer <= 0) {
+                this.revive(player, true);
+            }
+        });
+    }
+
+    revive(player, respawned) {
+        if (respawned) this.placeNear(player, this.game.getLivePlayers());
+
+        this.standUp(player);
+        player.health = Math.ceil(player.maxHealth * this.respawnHealth);
+        player.invulnerable = this.reviveInvulnerability;
+
+        this.game.events.emit(EventBus.EVENTS.PLAYER_REVIVED, {
+            slot: player.slot,
+            x: player.x,
+            y: player.y,
+            health: player.health,
+            maxHealth: player.maxHealth,
+            respawned
+        });
+        this.game.events.emit(EventBus.EVENTS.FX_BURST, {
+            x: player.x,
+            y: player.y,
+            type: ParticleSystem.TYPES.SOUL,
+            intensity: 1
+        });
+    }
+
+    standUp(player) {
+        player.downed = false;
+        player.reviveProgress = 0;
+        player.respawnTimer = 0;
+        player.collider.enabled = true;
+    }
+
+    /* ============================================
+       CAMERA
+       ============================================ */
+
+    // Centre of the given players: live ones by default, else anyone still in
+    getFocus(players = this.game.getLivePlayers()) {
+        if (players.length === 0) players = this.game.getActivePlayers();
+
+        const sum = players.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+        return { x: sum.x / players.length, y: sum.y / players.length };
+    }
+
+    // Keeps live players within one screen of each other
+    leash() {
+        const live = this.game.getLivePlayers();
+        if (live.length < 2) return;
+
+        const focus = this.getFocus(live);
+        const halfWidth = this.game.gameWidth / 2 - this.leashMargin;
+        const halfHeight = this.game.gameHeight / 2 - this.leashMargin;
+
+        live.forEach(p => {
+            p.x = Math.max(focus.x - halfWidth, Math.min(focus.x + halfWidth, p.x));
+            p.y = Math.max(focus.y - halfHeight, Math.min(focus.y + halfHeight, p.y));
+        });
+    }
+
+    /* ============================================
+       RENDER
+       ============================================ */
+
+    // Revive ring and respawn countdown over a downed player (world space)
+    renderDowned(ctx, player) {
+        ctx.save();
+        ctx.translate(player.x, player.y);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(0, 0, 26, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const progress = player.reviveProgress / this.reviveTime;
+        if (progress > 0) {
+            ctx.strokeStyle = '#4ade80';
+            ctx.beginPath();
+            ctx.arc(0, 0, 26, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`P${player.slot + 1} DOWN ${Math.ceil(player.respawnTimer)}`, 0, -34);
+
+        ctx.restore();
+    }
+
+    renderJoinScreen(ctx) {
+        const game = this.game;
+        const map = game.inputMap;
+        const A = InputMap.ACTIONS;
+        const D = InputMap.DEVICES;
+        const centerX = game.gameWidth / 2;
+        const centerY = game.gameHeight / 2;
+
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.85)';
+        ctx.fillRect(0, 0, game.gameWidth, game.gameHeight);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 40px sans-serif';
+        ctx.fillText('LOCAL CO-OP', centerX, centerY - 150);
+
+        const width = 220;
+        const height = 150;
+        const gap = 20;
+        const left = centerX - (CoopSystem.MAX_PLAYERS * (width + gap) - gap) / 2;
+        const join = `${map.getPrompt(A.ATTACK, D.GAMEPAD)} / ${map.getPrompt(A.ATTACK, D.KEYBOARD)}`;
+
+        this.sources.forEach((source, slot) => {
+            const x = left + slot * (width + gap);
+            const y = centerY - height / 2;
+            const color = CoopSystem.COLORS[slot];
+            const taken = source !== null || slot === 0;
+
+            ctx.fillStyle = taken ? 'rgba(255, 255, 255, 0.08)' : 'rgba(255, 255, 255, 0.03)';
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeStyle = taken ? color : 'rgba(255, 255, 255, 0.2)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, y, width, height);
+
+            ctx.fillStyle = color;
+            ctx.font = 'bold 28px sans-serif';
+            ctx.fillText(`P${slot + 1}`, x + width / 2, y + 40);
+
+            ctx.fillStyle = taken ? '#fff' : '#888';
+            ctx.font = '15px sans-serif';
+            if (taken) {
+                ctx.fillText(source ? CoopSystem.describeSource(source) : 'Any device', x + width / 2, y + 85);
+                ctx.fillStyle = '#4ade80';
+                ctx.fillText('Ready', x + width / 2, y + 112);
+            } else {
+                ctx.fillText(`Press ${join} to join`, x + width / 2, y + 95);
+            }
+        });
+
+        ctx.fillStyle = '#888';
+        ctx.font = '16px sans-serif';
+        const leave = `${map.getPrompt(A.DEFEND, D.GAMEPAD)} / ${map.getPrompt(A.DEFEND, D.KEYBOARD)}`;
+        const start = `${map.getPrompt(A.PAUSE, D.GAMEPAD)} / ${map.getPrompt(A.PAUSE, D.KEYBOARD)}`;
+        ctx.fillText(`${leave}: Leave  |  ${start}: Play`, centerX, centerY + 130);
+
+        ctx.textBaseline = 'alphabetic';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoopSystem;
+}
@@ -0,0 +1,287 @@
+/**
+ * Abyss Walker - Dungeon Generator
+ * Seeded abyss floors (rooms, corridors, spawns, chests, descent stair) as Tiled JSON maps
+ */
+
+class DungeonGenerator {
+    constructor(options = {}) {
+        // Map size in tiles grows with depth up to maxSize
+        this.baseWidth = options.baseWidth || 48;
+        this.baseHeight = options.baseHeight || 40;
+        this.sizeGrowth = options.sizeGrowth || 2;
+        this.maxSize = options.maxSize || 80;
+        this.tileSize = options.tileSize || 64;
+
+        // Rooms
+        this.roomAttempts = options.roomAttempts || 60;
+        this.minRoomSize = options.minRoomSize || 5;
+        this.maxRoomSize = options.maxRoomSize || 11;
+        this.corridorWidth = options.corridorWidth || 2;
+        this.extraCorridorChance = options.extraCorridorChance ?? 0.15;
+
+        // Contents
+        this.baseSpawns = options.baseSpawns || 6;
+        this.maxChests = options.maxChests || 3;
+    }
+
+    /* ============================================
+       TILES
+       ============================================ */
+
+    // Shares the palette of the hand-made maps in levels/
+    static TILES = {
+        EMPTY: 0,
+        FLOOR: 1,
+        FLOOR_ALT: 2,
+        WALL: 3,
+        COLLISION: 4,
+        STAIR: 5
+    };
+
+    static TILESET = {
+        columns: 0,
+        firstgid: 1,
+        margin: 0,
+        name: 'abyss-colors',
+        spacing: 0,
+        tilecount: 5,
+        tilewidth: 64,
+        tileheight: 64,
+        tiles: [
+            { id: 0, type: 'floor', properties: [{ name: 'color', type: 'color', value: '#ff12121c' }] },
+            { id: 1, type: 'floor', properties: [{ name: 'color', type: 'color', value: '#ff161624' }] },
+            {
+                id: 2,
+                type: 'wall',
+                properties: [
+                    { name: 'color', type: 'color', value: '#ff2d2d44' },
+                    { name: 'solid', type: 'bool', value: true }
+                ]
+            },
+            { id: 3, type: 'collision', properties: [{ name: 'color', type: 'color', value: '#80ff0000' }] },
+            { id: 4, type: 'stair', properties: [{ name: 'color', type: 'color', value: '#ff3b2a6b' }] }
+        ]
+    };
+
+    /* ============================================
+       GENERATION
+       ============================================ */
+
+    // Same seed and floor always produce the same map
+    generate(seed, floor = 1) {
+        const rng = new SeededRandom(`${seed}:floor-${floor}`);
+        const growth = (floor - 1) * this.sizeGrowth;
+        const width = Math.min(this.maxSize, this.baseWidth + growth);
+        const height = Math.min(this.maxSize, this.baseHeight + growth);
+
+        // true = carved floor
+        const open = new Uint8Array(width * height);
+        const carve = (x, y) => {
+            if (x > 0 && y > 0 && x < width - 1 && y < height - 1) open[y * width + x] = 1;
+        };
+
+        const rooms = this.placeRooms(rng, width, height);
+        rooms.forEach(room => {
+            for (let y = room.y; y < room.y + room.h; y++) {
+                for (let x = room.x; x < room.x + room.w; x++) carve(x, y);
+            }
+        });
+
+        this.connectRooms(rng, rooms, carve);
+
+        // Start in the first room, descend from the one farthest away
+        const start = rooms[0];
+        const stairRoom = rooms.reduce((far, room) =>
+            this.distance(room, start) > this.distance(far, start) ? room : far
+        );
+
+        return this.toTiledMap({ rng, seed, floor, width, height, open, rooms, start, stairRoom });
+    }
+
+    placeRooms(rng, width, height) {
+        const rooms = [];
+
+        for (let i = 0; i < this.roomAttempts; i++) {
+            const w = rng.int(this.minRoomSize, this.maxRoomSize);
+            const h = rng.int(this.minRoomSize, this.maxRoomSize);
+            const room = {
+                x: rng.int(1, width - w - 2),
+                y: rng.int(1, height - h - 2),
+                w,
+                h
+            };
+            room.cx = Math.floor(room.x + w / 2);
+            room.cy = Math.floor(room.y + h / 2);
+
+            // Keep a wall between rooms
+            const overlaps = rooms.some(other =>
+                room.x - 1 < other.x + other.w && room.x + room.w + 1 > other.x &&
+                room.y - 1 < other.y + other.h && room.y + room.h + 1 > other.y
+            );
+            if (!overlaps) rooms.push(room);
+        }
+
+        return rooms;
+    }
+
+    // Chains rooms nearest-first so every room is reachable, plus a few loops
+    connectRooms(rng, rooms, carve) {
+        const remaining = rooms.slice(1);
+        const connected = [rooms[0]];
+
+        while (remaining.length > 0) {
+            let best = null;
+            remaining.forEach((room, index) => {
+                connected.forEach(from => {
+                    const d = this.distance(room, from);
+                    if (!best || d < best.d) best = { index, from, d };
+                });
+            });
+
+            const room = remaining.splice(best.index, 1)[0];
+            this.carveCorridor(rng, best.from, room, carve);
+            connected.push(room);
+
+            if (connected.length > 2 && rng.chance(this.extraCorridorChance)) {
+                this.carveCorridor(rng, rng.pick(connected), room, carve);
+            }
+        }
+    }
+
+    // L-shaped corridor between room centres, bending randomly
+    carveCorridor(rng, a, b, carve) {
+        const horizontal = (x1, x2, y) => {
+            for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+                for (let o = 0; o < this.corridorWidth; o++) carve(x, y + o);
+            }
+        };
+        const vertical = (y1, y2, x) => {
+            for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+                for (let o = 0; o < this.corridorWidth; o++) carve(x + o, y);
+            }
+        };
+
+        if (rng.chance(0.5)) {
+            horizontal(a.cx, b.cx, a.cy);
+            vertical(a.cy, b.cy, b.cx);
+        } else {
+            vertical(a.cy, b.cy, a.cx);
+            horizontal(a.cx, b.cx, b.cy);
+        }
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.cx - b.cx, a.cy - b.cy);
+    }
+
+    /* ============================================
+       OUTPUT
+       ============================================ */
+
+    toTiledMap({ rng, seed, floor, width, height, open, rooms, start, stairRoom }) {
+        const TILES = DungeonGenerator.TILES;
+        const ts = this.tileSize;
+        const isStair = (x, y) =>
+            x >= stairRoom.cx - 1 && x <= stairRoom.cx && y >= stairRoom.cy - 1 && y <= stairRoom.cy;
+
+        const floorData = [];
+        const wallData = [];
+        const collisionData = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const carved = open[y * width + x] === 1;
+                let tile = (x + y) % 2 === 0 ? TILES.FLOOR : TILES.FLOOR_ALT;
+                if (isStair(x, y)) tile = TILES.STAIR;
+
+                floorData.push(carved ? tile : TILES.EMPTY);
+                wallData.push(carved ? TILES.EMPTY : TILES.WALL);
+                collisionData.push(carved ? TILES.EMPTY : TILES.COLLISION);
+            }
+        }
+
+        let nextId = 1;
+        const point = (type, name, x, y, properties = []) => ({
+            id: nextId++, name, type, point: true,
+            x: x * ts + ts / 2, y: y * ts + ts / 2,
+            width: 0, height: 0, rotation: 0, visible: true,
+            properties
+        });
+        const inside = room => ({
+            x: rng.int(room.x + 1, room.x + room.w - 2),
+            y: rng.int(room.y + 1, room.y + room.h - 2)
+        });
+
+        const objects = [point('player', 'player', start.cx, start.cy)];
+
+        // Enemy spawns away from the start room, more on deeper floors. They
+        // have no `enemy` property, so any type the wave picks can use them.
+        const others = rooms.filter(room => room !== start);
+        const spawnCount = this.baseSpawns + floor;
+        for (let i = 0; i < spawnCount && others.length > 0; i++) {
+            const spot = inside(rng.pick(others));
+            objects.push(point('spawn', `spawn-${i + 1}`, spot.x, spot.y));
+        }
+
+        // Chests in random rooms other than the start and stair rooms
+        const chestRooms = rng.shuffle(others.filter(room => room !== stairRoom))
+            .slice(0, rng.int(1, this.maxChests));
+        chestRooms.forEach((room, i) => {
+            const spot = inside(room);
+            objects.push(point('chest', `chest-${i + 1}`, spot.x, spot.y, [
+                { name: 'souls', type: 'int', value: 10 * floor + rng.int(0, 10) }
+            ]));
+        });
+
+        objects.push({
+            id: nextId++,
+            name: 'stair',
+            type: 'trigger',
+            x: (stairRoom.cx - 1) * ts,
+            y: (stairRoom.cy - 1) * ts,
+            width: ts * 2,
+            height: ts * 2,
+            rotation: 0,
+            visible: true,
+            properties: [{ name: 'action', type: 'string', value: 'descend' }]
+        });
+
+        const tileLayer = (id, name, data, visible = true) => ({
+            data, height, id, name, opacity: 1, type: 'tilelayer', visible, width, x: 0, y: 0
+        });
+
+        return {
+            compressionlevel: -1,
+            width,
+            height,
+            infinite: false,
+            orientation: 'orthogonal',
+            renderorder: 'right-down',
+            tilewidth: ts,
+            tileheight: ts,
+            type: 'map',
+            version: '1.10',
+            layers: [
+                tileLayer(1, 'floor', floorData),
+                tileLayer(2, 'walls', wallData),
+                tileLayer(3, 'collision', collisionData, false),
+                {
+                    draworder: 'topdown', id: 4, name: 'objects', objects,
+                    opacity: 1, type: 'objectgroup', visible: true, x: 0, y: 0
+                }
+            ],
+            nextlayerid: 5,
+            nextobjectid: nextId,
+            properties: [
+                { name: 'name', type: 'string', value: `Abyss Floor ${floor}` },
+                { name: 'seed', type: 'string', value: String(seed) },
+                { name: 'floor', type: 'int', value: floor }
+            ],
+            tilesets: [{ ...DungeonGenerator.TILESET, tilewidth: ts, tileheight: ts }]
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DungeonGenerator;
+}
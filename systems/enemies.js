@@ -0,0 +1,588 @@
+/**
+ * Abyss Walker - Enemy System
+ * Data-driven enemy definitions, a library of behaviours, and enemy spawning
+ */
+
+class EnemySystem {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    // Enemy types by id. Stats are base values: health is scaled by the
+    // floor difficulty and speed by the wave's speed multiplier. `wave` is the
+    // first wave a type can be picked in and `weight` its share of the picks
+    // (0 = never picked by waves, e.g. split children). Any other field is
+    // tuning read by the behaviour.
+    static DEFINITIONS = {
+        zombie: {
+            name: 'Zombie',
+            behaviour: 'chaser',
+            health: 50,
+            speed: [90, 130],
+            radius: 12,
+            contactDamage: 10,
+            attackInterval: 1,
+            color: '#22c55e',
+            accent: '#14532d',
+            shape: 'circle',
+            wave: 1,
+            weight: 10
+        },
+        spitter: {
+            name: 'Spitter',
+            behaviour: 'ranged',
+            health: 30,
+            speed: [70, 90],
+            radius: 11,
+            contactDamage: 6,
+            attackInterval: 1,
+            color: '#a855f7',
+            accent: '#581c87',
+            shape: 'diamond',
+            wave: 2,
+            weight: 4,
+            preferredRange: 260,
+            fireInterval: 2,
+            shotSpeed: 260,
+            shotDamage: 8,
+            shotLife: 2,
+            shotInflicts: 'poison',
+            xp: 12,
+            score: 120
+        },
+        brute: {
+            name: 'Brute',
+            behaviour: 'charger',
+            health: 90,
+            speed: [60, 80],
+            radius: 16,
+            contactDamage: 12,
+            attackInterval: 1,
+            knockbackResistance: 0.6,
+            color: '#f97316',
+            accent: '#7c2d12',
+            shape: 'square',
+            wave: 3,
+            weight: 3,
+            chargeRange: 280,
+            windup: 0.7,
+            chargeSpeed: 520,
+            chargeTime: 0.45,
+            recover: 0.8,
+            chargeDamage: 20,
+            chargeInflicts: 'stun',
+            loot: 'elite',
+            xp: 25,
+            score: 250
+        },
+        bloater: {
+            name: 'Bloater',
+            behaviour: 'splitter',
+            health: 70,
+            speed: [55, 75],
+            radius: 15,
+            contactDamage: 10,
+            attackInterval: 1,
+            color: '#84cc16',
+            accent: '#3f6212',
+            shape: 'circle',
+            wave: 4,
+            weight: 2,
+            splitInto: 'crawler',
+            splitCount: 3,
+            immune: ['poison'],
+            loot: 'elite',
+            xp: 20,
+            score: 200
+        },
+        crawler: {
+            name: 'Crawler',
+            behaviour: 'chaser',
+            health: 15,
+            speed: [140, 170],
+            radius: 7,
+            contactDamage: 5,
+            attackInterval: 0.8,
+            color: '#bef264',
+            accent: '#3f6212',
+            shape: 'circle',
+            wave: 1,
+            weight: 0,
+            loot: 'minor',
+            xp: 3,
+            score: 25,
+            inflicts: 'bleed',
+            low: true
+        },
+        stalker: {
+            name: 'Stalker',
+            behaviour: 'flanker',
+            health: 40,
+            speed: [120, 150],
+            radius: 11,
+            contactDamage: 12,
+            attackInterval: 1,
+            color: '#38bdf8',
+            accent: '#0c4a6e',
+            shape: 'triangle',
+            wave: 3,
+            weight: 3,
+            flankAngle: 1.1,
+            flankDistance: 140,
+            xp: 15,
+            score: 150
+        }
+    };
+
+    // Fields every definition falls back to
+    static DEFAULTS = {
+        behaviour: 'chaser',
+        health: 50,
+        speed: [90, 130],
+        radius: 12,
+        contactDamage: 10,
+        attackInterval: 1,
+        knockbackResistance: 0,
+        color: '#22c55e',
+        accent: '#14532d',
+        shape: 'circle',
+        wave: 1,
+        weight: 1,
+        loot: 'common',     // PickupSystem.LOOT_TABLES id
+        xp: 10,             // Party experience for the kill
+        score: 100,         // Points for the kill, before ScoringSystem bonuses
+        low: false,         // Too short to reach a hopping player
+        inflicts: null,     // Status effect its contact damage applies (see StatusEffectSystem)
+        immune: []          // Status effects it never takes
+    };
+
+    // Adds or replaces an enemy type
+    static define(id, definition) {
+        const def = { ...EnemySystem.DEFAULTS, ...definition };
+        if (!EnemySystem.BEHAVIOURS[def.behaviour]) {
+            throw new Error(`Unknown behaviour "${def.behaviour}" for enemy "${id}"`);
+        }
+        EnemySystem.DEFINITIONS[id] = def;
+        return def;
+    }
+
+    static getDefinition(id) {
+        const def = EnemySystem.DEFINITIONS[id];
+        return def ? { ...EnemySystem.DEFAULTS, ...def } : null;
+    }
+
+    // "zombie, spitter" -> ['zombie', 'spitter']; empty means any type
+    static parseTypes(list) {
+        if (!list) return [];
+        return String(list).split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    // Whether a level spawn point may produce the type (`enemy` property)
+    static accepts(spawn, type) {
+        const types = EnemySystem.parseTypes(spawn.enemy);
+        return types.length === 0 || types.includes(type);
+    }
+
+    /* ============================================
+       BEHAVIOURS
+       ============================================ */
+
+    // Behaviours by id. Every hook is optional:
+    //   init(enemy, def, system)          - set up per-enemy state at spawn
+    //   update(enemy, dt, system)         - steer; not called while stunned
+    //   interrupt(enemy, system)          - the enemy was stunned (e.g. parried)
+    //   onCollide(enemy, other, system)   - contact with a player or wall
+    //   onDeath(enemy, system)            - the enemy was killed
+    //   render(ctx, enemy, system)        - drawn under the body (telegraphs)
+    static BEHAVIOURS = {
+        // Walks at the nearest player, pathing around walls
+        chaser: {
+            update(enemy, dt, system) {
+                const target = system.getTarget(enemy);
+                if (target) system.chase(enemy, target, enemy.speed, dt);
+            }
+        },
+
+        // Keeps its preferred range, strafes, and spits at the nearest player
+        ranged: {
+            init(enemy, def, system) {
+                enemy.fireTimer = def.fireInterval * system.game.rng.range(0.5, 1);
+                enemy.strafe = system.game.rng.chance(0.5) ? 1 : -1;
+            },
+            update(enemy, dt, system) {
+                const target = system.getTarget(enemy);
+                if (!target) return;
+
+                const def = enemy.definition;
+                const dx = target.x - enemy.x;
+                const dy = target.y - enemy.y;
+                const dist = Math.hypot(dx, dy) || 1;
+
+                if (dist > def.preferredRange * 1.2) {
+                    system.chase(enemy, target, enemy.speed, dt);
+                } else if (dist < def.preferredRange * 0.8) {
+                    system.moveToward(enemy, enemy.x - dx, enemy.y - dy, enemy.speed, dt);
+                } else {
+                    system.moveToward(enemy, enemy.x - dy * enemy.strafe, enemy.y + dx * enemy.strafe, enemy.speed * 0.6, dt);
+                }
+
+                // Always faces its target, whichever way it moves
+                enemy.angle = Math.atan2(dy, dx);
+                enemy.fireTimer -= dt;
+                if (enemy.fireTimer <= 0 && dist <= def.preferredRange * 1.5 &&
+                    system.game.pathfinding.hasClearPath(enemy.x, enemy.y, target.x, target.y)) {
+                    system.fireShot(enemy, enemy.angle);
+                    enemy.fireTimer = def.fireInterval;
+                }
+            }
+        },
+
+        // Approaches, winds up (telegraphed), then dashes in a straight line
+        charger: {
+            init(enemy) {
+                enemy.state = 'approach';
+                enemy.stateTimer = 0;
+            },
+            update(enemy, dt, system) {
+                const def = enemy.definition;
+                const target = system.getTarget(enemy);
+                enemy.stateTimer -= dt;
+
+                switch (enemy.state) {
+                    case 'approach': {
+                        if (!target) return;
+                        const dist = Math.hypot(target.x - enemy.x, target.y - enemy.y);
+                        if (dist <= def.chargeRange) {
+                            enemy.state = 'windup';
+                            enemy.stateTimer = def.windup;
+                            enemy.angle = Math.atan2(target.y - enemy.y, target.x - enemy.x);
+                        } else {
+                            system.chase(enemy, target, enemy.speed, dt);
+                        }
+                        break;
+                    }
+
+                    case 'windup':
+                        if (enemy.stateTimer <= 0) {
+                            enemy.state = 'charge';
+                            enemy.stateTimer = def.chargeTime;
+                            enemy.contactDamage = def.chargeDamage;
+                            enemy.inflicts = def.chargeInflicts || def.inflicts;
+                        }
+                        break;
+
+                    case 'charge':
+                        enemy.x += Math.cos(enemy.angle) * def.chargeSpeed * dt;
+                        enemy.y += Math.sin(enemy.angle) * def.chargeSpeed * dt;
+                        if (enemy.stateTimer <= 0) this.recover(enemy);
+                        break;
+
+                    case 'recover':
+                        if (enemy.stateTimer <= 0) enemy.state = 'approach';
+                        break;
+                }
+            },
+            recover(enemy) {
+                enemy.state = 'recover';
+                enemy.stateTimer = enemy.definition.recover;
+                enemy.contactDamage = enemy.definition.contactDamage;
+                enemy.inflicts = enemy.definition.inflicts;
+            },
+            interrupt(enemy) {
+                if (enemy.state === 'windup' || enemy.state === 'charge') this.recover(enemy);
+            },
+            onCollide(enemy, other) {
+                if (enemy.state === 'charge' && (other.type === 'wall' || other.type === 'player')) {
+                    this.recover(enemy);
+                }
+            },
+            // Ground telegraph along the dash line, filling up as the wind-up ends
+            render(ctx, enemy) {
+                if (enemy.state !== 'windup') return;
+
+                const def = enemy.definition;
+                const length = def.chargeSpeed * def.chargeTime;
+                const progress = 1 - Math.max(0, enemy.stateTimer) / def.windup;
+
+                ctx.save();
+                ctx.translate(enemy.x, enemy.y);
+                ctx.rotate(enemy.angle);
+                ctx.fillStyle = 'rgba(249, 115, 22, 0.15)';
+                ctx.fillRect(0, -enemy.radius, length, enemy.radius * 2);
+                ctx.fillStyle = 'rgba(249, 115, 22, 0.35)';
+                ctx.fillRect(0, -enemy.radius, length * progress, enemy.radius * 2);
+                ctx.restore();
+            }
+        },
+
+        // Chases like a chaser and bursts into smaller enemies on death
+        splitter: {
+            update(enemy, dt, system) {
+                EnemySystem.BEHAVIOURS.chaser.update(enemy, dt, system);
+            },
+            onDeath(enemy, system) {
+                const def = enemy.definition;
+                for (let i = 0; i < def.splitCount; i++) {
+                    const angle = (i / def.splitCount) * Math.PI * 2 + system.game.rng.range(0, 0.5);
+                    const child = system.spawn(def.splitInto, {
+                        x: enemy.x + Math.cos(angle) * enemy.radius,
+                        y: enemy.y + Math.sin(angle) * enemy.radius,
+                        wave: enemy.wave,
+                        speedMultiplier: enemy.speedMultiplier
+                    });
+                    if (!child) continue;
+
+                    child.knockbackX = Math.cos(angle) * 200;
+                    child.knockbackY = Math.sin(angle) * 200;
+                    system.game.waveDirector.adopt(child);
+                }
+            }
+        },
+
+        // Circles to the player's side before closing in
+        flanker: {
+            init(enemy, def, system) {
+                enemy.side = system.game.rng.chance(0.5) ? 1 : -1;
+            },
+            update(enemy, dt, system) {
+                const target = system.getTarget(enemy);
+                if (!target) return;
+
+                const def = enemy.definition;
+                const dist = Math.hypot(enemy.x - target.x, enemy.y - target.y);
+                if (dist <= def.flankDistance * 1.1) {
+                    system.chase(enemy, target, enemy.speed, dt);
+                    return;
+                }
+
+                // Head for a point beside the player; path in when walls are in the way
+                const around = Math.atan2(enemy.y - target.y, enemy.x - target.x) + def.flankAngle * enemy.side;
+                const x = target.x + Math.cos(around) * def.flankDistance;
+                const y = target.y + Math.sin(around) * def.flankDistance;
+                if (system.game.pathfinding.hasClearPath(enemy.x, enemy.y, x, y, enemy.radius)) {
+                    system.moveToward(enemy, x, y, enemy.speed, dt);
+                } else {
+                    system.chase(enemy, target, enemy.speed, dt);
+                }
+            }
+        }
+    };
+
+    static defineBehaviour(id, behaviour) {
+        EnemySystem.BEHAVIOURS[id] = behaviour;
+        return behaviour;
+    }
+
+    /* ============================================
+       SPAWNING
+       ============================================ */
+
+    // Weighted pick among the types unlocked by the wave, limited to the
+    // level's `enemies` map property when it has one
+    pickType(wave = 1) {
+        const allowed = EnemySystem.parseTypes(this.game.level?.properties.enemies);
+        const choices = Object.keys(EnemySystem.DEFINITIONS)
+            .map(id => ({ id, def: EnemySystem.getDefinition(id) }))
+            .filter(({ id, def }) => def.weight > 0 && def.wave <= wave &&
+                (allowed.length === 0 || allowed.includes(id)));
+
+        if (choices.length === 0) return 'zombie';
+
+        const total = choices.reduce((sum, choice) => sum + choice.def.weight, 0);
+        let roll = this.game.rng.range(0, total);
+        for (const choice of choices) {
+            roll -= choice.def.weight;
+            if (roll < 0) return choice.id;
+        }
+        return choices[choices.length - 1].id;
+    }
+
+    // Options: x, y (default: a spawn point for the type), wave, speedMultiplier
+    spawn(type, options = {}) {
+        const def = EnemySystem.getDefinition(type);
+        if (!def) {
+            console.warn(`[Enemies] Unknown enemy type "${type}"`);
+            return null;
+        }
+
+        const game = this.game;
+        const behaviour = EnemySystem.BEHAVIOURS[def.behaviour];
+        const speedMultiplier = options.speedMultiplier || 1;
+        const point = options.x !== undefined ? options : game.getSpawnPoint(40, type);
+
+        const enemy = {
+            type,
+            definition: def,
+            behaviour,
+            x: point.x,
+            y: point.y,
+            angle: 0,
+            radius: def.radius,
+            wave: options.wave || 0,
+            speedMultiplier,
+            speed: game.rng.range(def.speed[0], def.speed[1]) * speedMultiplier,
+            dead: false,
+            health: def.health * game.difficulty,
+            maxHealth: def.health * game.difficulty,
+            invulnerable: 0,
+            stunned: 0,
+            hitFlash: 0,
+            knockbackX: 0,
+            knockbackY: 0,
+            knockbackResistance: def.knockbackResistance,
+            contactDamage: def.contactDamage,
+            low: def.low,
+            inflicts: def.inflicts,
+            statuses: {},
+            statusImmunity: {},
+            immune: def.immune,
+            attackCooldown: 0,
+            attackInterval: def.attackInterval,
+            collider: CollisionSystem.circle(def.radius, {
+                layer: CollisionSystem.LAYERS.ENEMY,
+                mask: CollisionSystem.LAYERS.PLAYER | CollisionSystem.LAYERS.ENEMY |
+                      CollisionSystem.LAYERS.PLAYER_PROJECTILE | CollisionSystem.LAYERS.WALL,
+                onCollide: (other) => {
+                    if (other.type === 'player' && enemy.attackCooldown <= 0 && enemy.stunned <= 0) {
+                        game.damagePlayer(other, enemy.contactDamage, enemy);
+                        enemy.attackCooldown = enemy.attackInterval;
+                    }
+                    if (behaviour.onCollide) behaviour.onCollide(enemy, other, this);
+                }
+            }),
+            update: (dt) => {
+                enemy.attackCooldown = Math.max(0, enemy.attackCooldown - dt);
+                game.combat.updateCombatant(enemy, dt);
+
+                if (enemy.stunned > 0) {
+                    if (behaviour.interrupt) behaviour.interrupt(enemy, this);
+                    return;
+                }
+                if (behaviour.update) behaviour.update(enemy, dt, this);
+            },
+            render: (ctx) => this.render(ctx, enemy)
+        };
+
+        if (behaviour.init) behaviour.init(enemy, def, this);
+
+        game.entities.push(enemy);
+        return enemy;
+    }
+
+    // Called by the game when an enemy dies
+    onKilled(enemy) {
+        if (enemy.behaviour && enemy.behaviour.onDeath) enemy.behaviour.onDeath(enemy, this);
+    }
+
+    /* ============================================
+       BEHAVIOUR HELPERS
+       ============================================ */
+
+    getTarget(enemy) {
+        return this.game.getNearestPlayer(enemy.x, enemy.y);
+    }
+
+    // Straight line toward a point, kept apart from other enemies
+    moveToward(enemy, x, y, speed, dt) {
+        const dx = x - enemy.x;
+        const dy = y - enemy.y;
+        const len = Math.hypot(dx, dy);
+        if (len < 1) return;
+
+        enemy.angle = Math.atan2(dy, dx);
+        speed *= this.game.statusEffects.getModifier(enemy, 'speed');
+        this.game.pathfinding.steer(enemy, dx / len, dy / len, Math.min(speed, len / dt), dt);
+    }
+
+    // Straight at the target while nothing blocks the way, otherwise along the
+    // shared flow field toward the nearest player
+    chase(enemy, target, speed, dt) {
+        const pathfinding = this.game.pathfinding;
+        if (pathfinding.hasClearPath(enemy.x, enemy.y, target.x, target.y, enemy.radius)) {
+            this.moveToward(enemy, target.x, target.y, speed, dt);
+            return;
+        }
+
+        const flow = pathfinding.getFlowDirection(enemy.x, enemy.y);
+        if (!flow) {
+            this.moveToward(enemy, target.x, target.y, speed, dt);
+            return;
+        }
+
+        enemy.angle = Math.atan2(flow.y, flow.x);
+        pathfinding.steer(enemy, flow.x, flow.y, speed * this.game.statusEffects.getModifier(enemy, 'speed'), dt);
+    }
+
+    // Straight shot from the enemy's edge using its definition's shot fields
+    fireShot(enemy, angle) {
+        const def = enemy.definition;
+        return this.game.projectiles.spawn({
+            x: enemy.x + Math.cos(angle) * enemy.radius,
+            y: enemy.y + Math.sin(angle) * enemy.radius,
+            angle,
+            speed: def.shotSpeed,
+            damage: def.shotDamage,
+            life: def.shotLife || 2,
+            color: def.color,
+            faction: ProjectileSystem.FACTIONS.ENEMY,
+            owner: enemy,
+            inflicts: def.shotInflicts || null
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    render(ctx, enemy) {
+        const def = enemy.definition;
+        const r = enemy.radius;
+
+        if (enemy.behaviour.render) enemy.behaviour.render(ctx, enemy, this);
+
+        ctx.save();
+        ctx.translate(enemy.x, enemy.y);
+        ctx.fillStyle = enemy.hitFlash > 0 ? '#ffffff' : def.color;
+        ctx.beginPath();
+
+        switch (def.shape) {
+            case 'square':
+                ctx.rect(-r, -r, r * 2, r * 2);
+                break;
+            case 'diamond':
+                ctx.moveTo(0, -r * 1.2);
+                ctx.lineTo(r * 1.2, 0);
+                ctx.lineTo(0, r * 1.2);
+                ctx.lineTo(-r * 1.2, 0);
+                ctx.closePath();
+                break;
+            case 'triangle': {
+                const a = enemy.angle;
+                ctx.moveTo(Math.cos(a) * r * 1.3, Math.sin(a) * r * 1.3);
+                ctx.lineTo(Math.cos(a + 2.4) * r, Math.sin(a + 2.4) * r);
+                ctx.lineTo(Math.cos(a - 2.4) * r, Math.sin(a - 2.4) * r);
+                ctx.closePath();
+                break;
+            }
+            default:
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+        }
+        ctx.fill();
+
+        // Headband; turns yellow while stunned
+        ctx.fillStyle = enemy.stunned > 0 ? '#fbbf24' : def.accent;
+        ctx.fillRect(-r * 0.83, -r * 1.17, r * 1.67, r / 2);
+        ctx.restore();
+
+        this.game.combat.renderHealthBar(ctx, enemy, Math.max(24, r * 2), -r - 8);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnemySystem;
+}
@@ -0,0 +1,648 @@
+/**
+ * Abyss Walker - Input Map
+ * Resolves keyboard, mouse and gamepad input to named actions, with per-device rebinding
+ */
+
+class InputMap {
+    constructor(options = {}) {
+        this.events = options.events || window.eventBus;
+        this.storageKey = options.storageKey || 'abyssInputBindings';
+
+        // Stick deflection below this is treated as noise
+        this.deadzone = options.deadzone ?? 0.18;
+
+        // device -> action -> [inputs]; defaults overridden by saved bindings
+        this.bindings = InputMap.copyBindings(InputMap.DEFAULT_BINDINGS);
+        this.load();
+
+        // Inputs currently held, keyed 'keyboard', 'mouse' and 'gamepad:N'
+        // (one set per connected pad, added and removed as pads come and go)
+        this.held = {
+            keyboard: new Set(),
+            mouse: new Set()
+        };
+
+        // Device the player touched last; drives prompts and the touch overlay
+        this.lastDevice = InputMap.isTouchCapable() ? InputMap.DEVICES.TOUCH : InputMap.DEVICES.KEYBOARD;
+
+        // Connected pads by index, re-read by update() (navigator.getGamepads
+        // is a snapshot API)
+        this.gamepads = new Map();
+
+        // Pad index -> which axes were past the deadzone on the last poll
+        this.deflected = new Map();
+
+        // source -> action -> time pressed, for per-source press/release events
+        this.active = new Map();
+
+        // Per-action press/hold/release state, merged across every source
+        this.states = new Map();
+        Object.values(InputMap.ACTIONS).forEach(action => {
+            this.states.set(action, {
+                down: false,
+                since: 0,
+                presses: 0,
+                releases: 0,
+                pressed: false,
+                released: false
+            });
+        });
+
+        // Pending captureBinding() request
+        this.capture = null;
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    static DEVICES = {
+        KEYBOARD: 'keyboard',
+        MOUSE: 'mouse',
+        GAMEPAD: 'gamepad',
+
+        // Not bindable; TouchControls publishes actions itself
+        TOUCH: 'touch'
+    };
+
+    static ACTIONS = {
+        // Analog (gamepad sticks)
+        MOVE: 'move',
+        AIM: 'aim',
+
+        // Digital movement, combined into the move vector
+        MOVE_UP: 'moveUp',
+        MOVE_DOWN: 'moveDown',
+        MOVE_LEFT: 'moveLeft',
+        MOVE_RIGHT: 'moveRight',
+
+        // Gameplay
+        ATTACK: 'attack',
+        DEFEND: 'defend',
+        JUMP: 'jump',
+        DASH: 'dash',
+        SPECIAL: 'special',
+        NEXT_ABILITY: 'nextAbility',
+        ITEM_1: 'item1',
+        ITEM_2: 'item2',
+        ITEM_3: 'item3',
+        ITEM_4: 'item4',
+
+        // Menus and replays
+        PAUSE: 'pause',
+        RESTART: 'restart',
+        JOIN: 'join',
+        REPLAY_SLOWER: 'replaySlower',
+        REPLAY_FASTER: 'replayFaster',
+        REPLAY_BACK: 'replayBack',
+        REPLAY_FORWARD: 'replayForward',
+        REPLAY_EXIT: 'replayExit'
+    };
+
+    // Display names, also the order of the rebinding list
+    static LABELS = {
+        moveUp: 'Move Up',
+        moveDown: 'Move Down',
+        moveLeft: 'Move Left',
+        moveRight: 'Move Right',
+        attack: 'Attack',
+        defend: 'Defend',
+        jump: 'Jump',
+        dash: 'Dash',
+        special: 'Special',
+        nextAbility: 'Next Ability',
+        item1: 'Item 1',
+        item2: 'Item 2',
+        item3: 'Item 3',
+        item4: 'Item 4',
+        pause: 'Pause',
+        restart: 'Restart',
+        join: 'Co-op Join',
+        replaySlower: 'Replay Slower',
+        replayFaster: 'Replay Faster',
+        replayBack: 'Replay Back 5s',
+        replayForward: 'Replay Forward 5s',
+        replayExit: 'Exit Replay'
+    };
+
+    // Keyboard inputs are KeyboardEvent.code, mouse inputs MouseEvent.button,
+    // gamepad inputs standard-mapping button indices or stick names
+    static DEFAULT_BINDINGS = {
+        keyboard: {
+            moveUp: ['KeyW', 'ArrowUp'],
+            moveDown: ['KeyS', 'ArrowDown'],
+            moveLeft: ['KeyA', 'ArrowLeft'],
+            moveRight: ['KeyD', 'ArrowRight'],
+            attack: ['Space'],
+            defend: ['KeyF'],
+            jump: ['ShiftLeft'],
+            dash: ['KeyX'],
+            special: ['KeyE'],
+            nextAbility: ['KeyC'],
+            item1: ['Digit1'],
+            item2: ['Digit2'],
+            item3: ['Digit3'],
+            item4: ['Digit4'],
+            pause: ['Escape', 'KeyP'],
+            restart: ['Enter', 'KeyR'],
+            join: ['KeyJ'],
+            replaySlower: ['BracketLeft'],
+            replayFaster: ['BracketRight'],
+            replayBack: ['Comma'],
+            replayForward: ['Period'],
+            replayExit: ['KeyQ']
+        },
+        mouse: {
+            attack: [0],
+            defend: [2]
+        },
+        gamepad: {
+            move: ['leftStick'],
+            aim: ['rightStick'],
+            moveUp: [12],
+            moveDown: [13],
+            moveLeft: [14],
+            moveRight: [15],
+            attack: [0],
+            defend: [1],
+            special: [2],
+            nextAbility: [11],
+            jump: [3],
+            dash: [10],
+            item1: [4],
+            item2: [5],
+            item3: [6],
+            item4: [7],
+            pause: [9],
+            restart: [9],
+            join: [8]
+        }
+    };
+
+    // Axis indices of each stick in the standard gamepad mapping
+    static STICKS = {
+        leftStick: [0, 1],
+        rightStick: [2, 3]
+    };
+
+    static GAMEPAD_BUTTONS = [
+        'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+        'LS', 'RS', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home'
+    ];
+
+    static MOUSE_BUTTONS = ['Left Click', 'Middle Click', 'Right Click'];
+
+    // Input sources tell players apart: 'keyboard' (keyboard, mouse and
+    // touch, one player at the screen) and 'gamepad:N' for each pad
+    static KEYBOARD_SOURCE = 'keyboard';
+
+    static padKey(index) {
+        return `${InputMap.DEVICES.GAMEPAD}:${index}`;
+    }
+
+    static padIndex(key) {
+        return Number(String(key).split(':')[1]);
+    }
+
+    // 'gamepad:1' -> 'gamepad'; other held keys are device names already
+    static deviceOf(key) {
+        return String(key).split(':')[0];
+    }
+
+    static sourceOf(key) {
+        return InputMap.deviceOf(key) === InputMap.DEVICES.GAMEPAD ? key : InputMap.KEYBOARD_SOURCE;
+    }
+
+    static copyBindings(bindings) {
+        return JSON.parse(JSON.stringify(bindings));
+    }
+
+    /* ============================================
+       DEVICES
+       ============================================ */
+
+    // Listens for keyboard and gamepad connection events; mouse buttons are
+    // forwarded with setInput() by whoever owns the pointer surface
+    attach(target = window) {
+        target.addEventListener('keydown', (e) => {
+            if (InputMap.isTextField(e.target)) return;
+
+            const bound = this.getActionsFor(InputMap.DEVICES.KEYBOARD, e.code).length > 0;
+            if (bound || this.capture) e.preventDefault();
+            if (e.repeat) return;
+
+            this.setInput(InputMap.DEVICES.KEYBOARD, e.code, true);
+        });
+
+        target.addEventListener('keyup', (e) => {
+            this.setInput(InputMap.DEVICES.KEYBOARD, e.code, false);
+        });
+
+        // Keys released while the window is unfocused never fire keyup
+        target.addEventListener('blur', () => this.releaseAll());
+
+        // Pointer type tells a mouse from a finger (touch also fires compat mouse events)
+        target.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse') this.setLastDevice(InputMap.DEVICES.MOUSE);
+        });
+        target.addEventListener('pointerdown', (e) => {
+            this.setLastDevice(e.pointerType === 'mouse' ? InputMap.DEVICES.MOUSE : InputMap.DEVICES.TOUCH);
+        });
+
+        target.addEventListener('gamepadconnected', (e) => this.connectGamepad(e.gamepad));
+        target.addEventListener('gamepaddisconnected', (e) => this.disconnectGamepad(e.gamepad.index));
+    }
+
+    connectGamepad(gp) {
+        const known = this.gamepads.has(gp.index);
+        this.gamepads.set(gp.index, gp);
+        if (known) return;
+
+        const source = InputMap.padKey(gp.index);
+        this.held[source] = new Set();
+        console.log(`[Input] Gamepad ${gp.index} connected:`, gp.id);
+        this.events.emit(EventBus.EVENTS.INPUT_GAMEPAD, { index: gp.index, id: gp.id, source, connected: true });
+    }
+
+    disconnectGamepad(index) {
+        const gp = this.gamepads.get(index);
+        if (!gp) return;
+
+        const source = InputMap.padKey(index);
+        this.releaseDevice(source);
+        delete this.held[source];
+        this.active.delete(source);
+        this.gamepads.delete(index);
+        this.deflected.delete(index);
+        console.log(`[Input] Gamepad ${index} disconnected:`, gp.id);
+        this.events.emit(EventBus.EVENTS.INPUT_GAMEPAD, { index, id: gp.id, source, connected: false });
+    }
+
+    // 'keyboard' plus one source per connected pad
+    getSources() {
+        return [InputMap.KEYBOARD_SOURCE, ...Array.from(this.gamepads.keys()).map(InputMap.padKey)];
+    }
+
+    static isTouchCapable() {
+        return typeof window !== 'undefined' &&
+            ('ontouchstart' in window || (navigator.maxTouchPoints || 0) > 0);
+    }
+
+    static isTextField(element) {
+        const tag = element?.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || !!element?.isContentEditable;
+    }
+
+    // Records a raw input change and updates every action bound to it.
+    // Gamepad inputs name the pad they came from.
+    setInput(device, input, down, index = null) {
+        const key = index === null ? device : InputMap.padKey(index);
+        const held = this.held[key];
+        if (!held || down === held.has(input)) return;
+
+        if (down) {
+            held.add(input);
+            this.setLastDevice(device);
+            if (this.capture && this.capture.device === device) {
+                this.finishCapture(input);
+                return;
+            }
+        } else {
+            held.delete(input);
+        }
+
+        this.getActionsFor(device, input).forEach(action => this.refresh(action, key));
+    }
+
+    setLastDevice(device) {
+        if (device === this.lastDevice) return;
+
+        const previous = this.lastDevice;
+        this.lastDevice = device;
+        this.events.emit(EventBus.EVENTS.INPUT_DEVICE, { device, previous });
+    }
+
+    // Device whose bindings prompts should show (pointers fall back to keys)
+    get promptDevice() {
+        return this.lastDevice === InputMap.DEVICES.GAMEPAD ? InputMap.DEVICES.GAMEPAD : InputMap.DEVICES.KEYBOARD;
+    }
+
+    // Held keys of a device: 'gamepad' covers every pad, 'gamepad:N' just one
+    keysFor(device) {
+        if (device === InputMap.DEVICES.GAMEPAD) {
+            return Object.keys(this.held).filter(key => InputMap.deviceOf(key) === device);
+        }
+        return this.held[device] ? [device] : [];
+    }
+
+    releaseDevice(device) {
+        this.keysFor(device).forEach(key => {
+            const type = InputMap.deviceOf(key);
+            const index = type === InputMap.DEVICES.GAMEPAD ? InputMap.padIndex(key) : null;
+            Array.from(this.held[key]).forEach(input => this.setInput(type, input, false, index));
+        });
+    }
+
+    releaseAll() {
+        Object.keys(this.held).forEach(device => this.releaseDevice(device));
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    // Once per frame: polls the gamepads and latches this frame's press/release edges
+    update() {
+        this.pollGamepads();
+
+        this.states.forEach(state => {
+            state.pressed = state.presses > 0;
+            state.released = state.releases > 0;
+            state.presses = 0;
+            state.releases = 0;
+        });
+    }
+
+    pollGamepads() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const seen = new Set();
+
+        pads.forEach(gp => {
+            if (!gp || !gp.connected) return;
+            seen.add(gp.index);
+            this.connectGamepad(gp);
+
+            (gp.buttons || []).forEach((button, index) => {
+                this.setInput(InputMap.DEVICES.GAMEPAD, index, !!button?.pressed, gp.index);
+            });
+
+            // Stick movement alone also counts as using the pad, but only as
+            // an axis leaves the deadzone: a drifting or resting stick doesn't
+            // keep taking the prompts back
+            const axes = (gp.axes || []).map(value => Math.abs(value) > this.deadzone);
+            const before = this.deflected.get(gp.index) || axes;
+            if (axes.some((out, axis) => out && !before[axis])) {
+                this.setLastDevice(InputMap.DEVICES.GAMEPAD);
+            }
+            this.deflected.set(gp.index, axes);
+        });
+
+        // Pads that vanished without a disconnect event
+        Array.from(this.gamepads.keys()).forEach(index => {
+            if (!seen.has(index)) this.disconnectGamepad(index);
+        });
+    }
+
+    refresh(action, key) {
+        const state = this.states.get(action);
+        if (!state) return;
+
+        const now = performance.now();
+        const down = Object.keys(this.held).some(k => this.isDown(action, k));
+        if (down !== state.down) {
+            state.down = down;
+            if (down) {
+                state.since = now;
+                state.presses++;
+            } else {
+                state.releases++;
+            }
+        }
+
+        // Events are per source, so two players holding the same action each
+        // get their own press and release
+        const source = InputMap.sourceOf(key);
+        const keys = source === InputMap.KEYBOARD_SOURCE ? [InputMap.DEVICES.KEYBOARD, InputMap.DEVICES.MOUSE] : [source];
+        const sourceDown = keys.some(k => this.isDown(action, k));
+
+        if (!this.active.has(source)) this.active.set(source, new Map());
+        const active = this.active.get(source);
+        if (sourceDown === active.has(action)) return;
+
+        const device = InputMap.deviceOf(key);
+        if (sourceDown) {
+            active.set(action, now);
+            this.events.emit(EventBus.EVENTS.INPUT_PRESSED, { action, device, source });
+        } else {
+            const since = active.get(action);
+            active.delete(action);
+            this.events.emit(EventBus.EVENTS.INPUT_RELEASED, {
+                action,
+                device,
+                source,
+                duration: (now - since) / 1000
+            });
+        }
+    }
+
+    /* ============================================
+       QUERIES
+       ============================================ */
+
+    // Held on any device, or on the given one ('gamepad' for any pad,
+    // 'gamepad:N' for a single pad)
+    isDown(action, device = null) {
+        if (device) {
+            return this.keysFor(device).some(key => {
+                const inputs = this.bindings[InputMap.deviceOf(key)]?.[action] || [];
+                return inputs.some(input => this.held[key].has(input));
+            });
+        }
+        return this.states.get(action)?.down || false;
+    }
+
+    // Pressed since the previous update()
+    wasPressed(action) {
+        return this.states.get(action)?.pressed || false;
+    }
+
+    // Released since the previous update()
+    wasReleased(action) {
+        return this.states.get(action)?.released || false;
+    }
+
+    // Seconds the action has been held, 0 when up
+    getHoldTime(action) {
+        const state = this.states.get(action);
+        return state?.down ? (performance.now() - state.since) / 1000 : 0;
+    }
+
+    // Digital movement (-1, 0 or 1 per axis) from the direction actions
+    getDirection(device = null) {
+        const A = InputMap.ACTIONS;
+        return {
+            x: (this.isDown(A.MOVE_RIGHT, device) ? 1 : 0) - (this.isDown(A.MOVE_LEFT, device) ? 1 : 0),
+            y: (this.isDown(A.MOVE_DOWN, device) ? 1 : 0) - (this.isDown(A.MOVE_UP, device) ? 1 : 0)
+        };
+    }
+
+    // Deflection of the gamepad stick bound to an analog action, deadzone
+    // applied: on one pad ('gamepad:N'), or the strongest of all of them
+    getStick(action, source = null) {
+        const name = this.bindings.gamepad[action]?.[0];
+        const axes = InputMap.STICKS[name];
+        let stick = { x: 0, y: 0 };
+        if (!axes) return stick;
+
+        this.gamepads.forEach((gp, index) => {
+            if (source && source !== InputMap.padKey(index)) return;
+
+            const x = gp.axes?.[axes[0]] ?? 0;
+            const y = gp.axes?.[axes[1]] ?? 0;
+            const value = {
+                x: Math.abs(x) > this.deadzone ? x : 0,
+                y: Math.abs(y) > this.deadzone ? y : 0
+            };
+            if (Math.hypot(value.x, value.y) > Math.hypot(stick.x, stick.y)) stick = value;
+        });
+
+        return stick;
+    }
+
+    getActionsFor(device, input) {
+        const bindings = this.bindings[device] || {};
+        return Object.keys(bindings).filter(action => bindings[action].includes(input));
+    }
+
+    /* ============================================
+       REBINDING
+       ============================================ */
+
+    getBindings(device, action) {
+        return (this.bindings[device]?.[action] || []).slice();
+    }
+
+    // Replaces one slot of an action's bindings on a device (null clears it)
+    setBinding(device, action, input, slot = 0) {
+        if (!this.bindings[device]) throw new Error(`Unknown input device "${device}"`);
+        if (!this.states.has(action)) throw new Error(`Unknown input action "${action}"`);
+
+        // Release through the old bindings so nothing stays held
+        this.releaseDevice(device);
+
+        const inputs = this.getBindings(device, action);
+        if (input === null) {
+            inputs.splice(slot, 1);
+        } else {
+            inputs[Math.min(slot, inputs.length)] = input;
+        }
+
+        this.bindings[device][action] = inputs;
+        this.save();
+        this.events.emit(EventBus.EVENTS.INPUT_BINDINGS, { device, action, inputs: inputs.slice() });
+    }
+
+    // Waits for the next input on the device and binds it. Escape cancels a
+    // keyboard capture; resolves with the bound input, or null if cancelled.
+    captureBinding(device, action, slot = 0) {
+        this.cancelCapture();
+
+        return new Promise(resolve => {
+            this.capture = { device, action, slot, resolve };
+        });
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        const { resolve } = this.capture;
+        this.capture = null;
+        resolve(null);
+    }
+
+    finishCapture(input) {
+        const { device, action, slot, resolve } = this.capture;
+        this.capture = null;
+
+        if (device === InputMap.DEVICES.KEYBOARD && input === 'Escape') {
+            resolve(null);
+            return;
+        }
+
+        this.setBinding(device, action, input, slot);
+        resolve(input);
+    }
+
+    // Restores the defaults for one device, or for all of them
+    resetBindings(device = null) {
+        const devices = device ? [device] : Object.keys(InputMap.DEFAULT_BINDINGS);
+        devices.forEach(d => {
+            this.releaseDevice(d);
+            this.bindings[d] = InputMap.copyBindings(InputMap.DEFAULT_BINDINGS[d]);
+        });
+
+        this.save();
+        devices.forEach(d => this.events.emit(EventBus.EVENTS.INPUT_BINDINGS, { device: d, action: null, inputs: null }));
+    }
+
+    /* ============================================
+       PROMPTS
+       ============================================ */
+
+    // Human-readable name of a bound input, e.g. "W", "Right Click", "LB"
+    static describe(device, input) {
+        switch (device) {
+            case InputMap.DEVICES.KEYBOARD: {
+                const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+                if (arrows[input]) return arrows[input];
+                return String(input)
+                    .replace(/^Key|^Digit/, '')
+                    .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$2 $1')
+                    .replace(/^Bracket(Left|Right)$/, (m, side) => (side === 'Left' ? '[' : ']'))
+                    .replace(/^Comma$/, ',')
+                    .replace(/^Period$/, '.')
+                    .replace(/^Escape$/, 'Esc');
+            }
+            case InputMap.DEVICES.MOUSE:
+                return InputMap.MOUSE_BUTTONS[input] || `Mouse ${input}`;
+            case InputMap.DEVICES.GAMEPAD:
+                if (InputMap.STICKS[input]) return input === 'leftStick' ? 'Left Stick' : 'Right Stick';
+                return InputMap.GAMEPAD_BUTTONS[input] || `Button ${input}`;
+        }
+        return String(input);
+    }
+
+    // Name of the first input bound to an action on a device, or '' if unbound
+    getPrompt(action, device = this.promptDevice) {
+        const input = this.bindings[device]?.[action]?.[0];
+        return input === undefined ? '' : InputMap.describe(device, input);
+    }
+
+    /* ============================================
+       PERSISTENCE
+       ============================================ */
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved) return;
+
+            // Only known devices and actions; new actions keep their defaults
+            Object.keys(this.bindings).forEach(device => {
+                Object.entries(saved[device] || {}).forEach(([action, inputs]) => {
+                    if (Array.isArray(inputs) && Object.values(InputMap.ACTIONS).includes(action)) {
+                        this.bindings[device][action] = inputs;
+                    }
+                });
+            });
+        } catch (err) {
+            console.warn('[Input] Could not load saved bindings:', err);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (err) {
+            // Storage may be unavailable (private mode)
+        }
+    }
+}
+
+// Shared instance; the game polls it once per frame
+window.inputMap = new InputMap();
+window.inputMap.attach(window);
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputMap;
+}
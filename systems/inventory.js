@@ -0,0 +1,423 @@
+/**
+ * Abyss Walker - Inventory System
+ * Item definitions, per-player stacks, four quick slots, item cooldowns and timed buffs
+ */
+
+class InventorySystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // How far in front of the player a bomb lands (px)
+        this.throwDistance = options.throwDistance || 140;
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    static SLOT_COUNT = 4;
+
+    // Every player starts a run carrying these
+    static STARTING_ITEMS = { potion: 2 };
+
+    // Items by id. `use(player, item, system)` applies the effect and may
+    // return false when the item can't be used right now; nothing is spent
+    // then. The cooldown is shared by the whole stack.
+    static ITEMS = {
+        potion: {
+            name: 'Health Potion',
+            icon: '🧪',
+            color: '#ef4444',
+            maxStack: 9,
+            cooldown: 1,
+            heal: 40,
+            use(player, item, system) {
+                if (player.health >= player.maxHealth) return false;
+                system.game.healPlayer(player, item.heal);
+                system.burst(player, ParticleSystem.TYPES.MAGIC);
+            }
+        },
+        bomb: {
+            name: 'Bomb',
+            icon: '💣',
+            color: '#f97316',
+            maxStack: 9,
+            cooldown: 0.6,
+            fuse: 0.8,
+            radius: 90,
+            damage: 60,
+            knockback: 320,
+            inflicts: 'burn',
+            use(player, item, system) {
+                system.throwBomb(player, item);
+            }
+        },
+        elixir: {
+            name: 'Elixir of Fury',
+            icon: '⚗️',
+            color: '#f59e0b',
+            maxStack: 5,
+            cooldown: 2,
+            duration: 12,
+            damageBonus: 0.5,
+            use(player, item, system) {
+                // The bonus is worked out from the unbuffed damage
+                system.removeBuff(player, 'fury');
+                system.applyBuff(player, 'fury', 'attackDamage', player.attackDamage * item.damageBonus, item.duration);
+                system.burst(player, ParticleSystem.TYPES.EMBER);
+            }
+        },
+        antidote: {
+            name: 'Antidote',
+            icon: '💊',
+            color: '#84cc16',
+            maxStack: 5,
+            cooldown: 1,
+            use(player, item, system) {
+                // Cures every status effect; wasted on a healthy player
+                if (system.game.statusEffects.cleanse(player) === 0) return false;
+                system.burst(player, ParticleSystem.TYPES.MAGIC);
+            }
+        },
+        ward: {
+            name: 'Warding Charm',
+            icon: '🛡️',
+            color: '#38bdf8',
+            maxStack: 5,
+            cooldown: 2,
+            duration: 15,
+            shield: 40,
+            use(player, item, system) {
+                system.applyBuff(player, 'ward', 'shield', item.shield, item.duration);
+                system.burst(player, ParticleSystem.TYPES.MAGIC);
+            }
+        }
+    };
+
+    // Adds or replaces an item
+    static define(id, definition) {
+        InventorySystem.ITEMS[id] = definition;
+        return definition;
+    }
+
+    /* ============================================
+       STACKS
+       ============================================ */
+
+    // Gives a fresh player the starting items
+    stock(player) {
+        Object.entries(InventorySystem.STARTING_ITEMS).forEach(([id, count]) => this.add(player, id, count));
+        this.emitCooldowns(player);
+    }
+
+    // How many more of an item the player can carry
+    room(player, id) {
+        const def = InventorySystem.ITEMS[id];
+        return def ? def.maxStack - (player.items[id] || 0) : 0;
+    }
+
+    // Adds up to `count`, returns how many fit. A new item goes into the
+    // first empty quick slot.
+    add(player, id, count = 1) {
+        const added = Math.min(count, this.room(player, id));
+        if (added <= 0) return 0;
+
+        player.items[id] = (player.items[id] || 0) + added;
+        if (!player.quickSlots.includes(id)) {
+            const empty = player.quickSlots.indexOf(null);
+            if (empty !== -1) player.quickSlots[empty] = id;
+        }
+
+        this.emitChanged(player);
+        return added;
+    }
+
+    // Removes up to `count`; the quick slot keeps the item so it refills
+    remove(player, id, count = 1) {
+        const left = (player.items[id] || 0) - count;
+        if (left > 0) {
+            player.items[id] = left;
+        } else {
+            delete player.items[id];
+        }
+        this.emitChanged(player);
+    }
+
+    // Puts an item (or nothing) in a quick slot (0-based). An item already in
+    // another slot swaps places with the slot's current one.
+    assign(player, quickSlot, id) {
+        if (quickSlot < 0 || quickSlot >= InventorySystem.SLOT_COUNT) return false;
+        if (id !== null && !InventorySystem.ITEMS[id]) return false;
+
+        const slots = player.quickSlots;
+        const from = id === null ? -1 : slots.indexOf(id);
+        if (from !== -1) slots[from] = slots[quickSlot];
+        slots[quickSlot] = id;
+
+        this.emitChanged(player);
+        return true;
+    }
+
+    /* ============================================
+       USING ITEMS
+       ============================================ */
+
+    // Uses the item in a quick slot (0-based); false when the slot is empty,
+    // the stack is spent, the item is cooling down or refused
+    use(player, quickSlot) {
+        const id = player.quickSlots[quickSlot];
+        const def = id && InventorySystem.ITEMS[id];
+        if (!def || !player.items[id] || player.itemCooldowns[id] > 0) return false;
+        if (def.use(player, def, this) === false) return false;
+
+        player.itemCooldowns[id] = def.cooldown;
+        this.remove(player, id);
+
+        this.game.events.emit(EventBus.EVENTS.ITEM_USED, {
+            slot: player.slot,
+            quickSlot,
+            item: id,
+            count: player.items[id] || 0,
+            cooldown: def.cooldown
+        });
+        return true;
+    }
+
+    // Ticks item cooldowns and buffs for every player in the run
+    update(dt) {
+        this.game.getActivePlayers().forEach(player => {
+            const cooling = Object.keys(player.itemCooldowns);
+            cooling.forEach(id => {
+                player.itemCooldowns[id] -= dt;
+                if (player.itemCooldowns[id] <= 0) delete player.itemCooldowns[id];
+            });
+
+            // Reported every tick, including the one a cooldown ends on, so
+            // the HUD's overlays follow the game clock and stop with it
+            if (cooling.length > 0) this.emitCooldowns(player);
+
+            player.buffs = player.buffs.filter(buff => {
+                buff.timer -= dt;
+                if (buff.timer > 0) return true;
+                this.endBuff(player, buff);
+                return false;
+            });
+        });
+    }
+
+    /* ============================================
+       BUFFS
+       ============================================ */
+
+    // Adds `amount` to a player stat for a while. Using the same buff again
+    // restarts it rather than stacking.
+    applyBuff(player, id, stat, amount, duration) {
+        this.removeBuff(player, id);
+        player[stat] += amount;
+        player.buffs.push({ id, stat, amount, timer: duration, duration });
+    }
+
+    removeBuff(player, id) {
+        const buff = player.buffs.find(b => b.id === id);
+        if (!buff) return;
+        this.endBuff(player, buff);
+        player.buffs.splice(player.buffs.indexOf(buff), 1);
+    }
+
+    // Multiplies a stat for good (an upgrade). Active buffs on it are scaled
+    // along, so taking one back later leaves exactly the scaled base.
+    scaleStat(player, stat, factor) {
+        player[stat] *= factor;
+        player.buffs.forEach(buff => {
+            if (buff.stat === stat) buff.amount *= factor;
+        });
+    }
+
+    // Uses up to `amount` of a stat that buffs grant and damage spends (the
+    // shield), out of the buff that runs out soonest first. Each buff keeps
+    // only its unspent share, so one ending never takes another's. Returns
+    // the amount spent.
+    spend(player, stat, amount) {
+        const spent = Math.min(player[stat], amount);
+        player[stat] -= spent;
+
+        let left = spent;
+        player.buffs
+            .filter(buff => buff.stat === stat)
+            .sort((a, b) => a.timer - b.timer)
+            .forEach(buff => {
+                const share = Math.min(buff.amount, left);
+                buff.amount -= share;
+                left -= share;
+            });
+        return spent;
+    }
+
+    // Takes back what is left of the bonus; a spent shield stays spent
+    endBuff(player, buff) {
+        player[buff.stat] = Math.max(0, player[buff.stat] - buff.amount);
+    }
+
+    /* ============================================
+       BOMBS
+       ============================================ */
+
+    // Lands ahead of the player, short of any wall, and blows up after its fuse
+    throwBomb(player, item) {
+        const game = this.game;
+        let x = player.x;
+        let y = player.y;
+        const steps = 8;
+        for (let i = 1; i <= steps; i++) {
+            const nx = player.x + Math.cos(player.angle) * this.throwDistance * (i / steps);
+            const ny = player.y + Math.sin(player.angle) * this.throwDistance * (i / steps);
+            if (game.level && game.level.isSolidAt(nx, ny)) break;
+            x = nx;
+            y = ny;
+        }
+
+        const bomb = {
+            type: 'bomb',
+            x, y,
+            owner: player,
+            timer: item.fuse,
+            dead: false,
+            update: (dt) => {
+                bomb.timer -= dt;
+                if (bomb.timer <= 0 && !bomb.dead) {
+                    bomb.dead = true;
+                    this.explode(bomb, item);
+                }
+            },
+            render: (ctx) => {
+                ctx.fillStyle = '#1f2937';
+                ctx.beginPath();
+                ctx.arc(bomb.x, bomb.y, 8, 0, Math.PI * 2);
+                ctx.fill();
+                // Fuse spark blinks faster as it burns down
+                if (Math.floor(bomb.timer * (bomb.timer < 0.3 ? 20 : 8)) % 2 === 0) {
+                    ctx.fillStyle = item.color;
+                    ctx.beginPath();
+                    ctx.arc(bomb.x + 5, bomb.y - 7, 3, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+        };
+
+        game.entities.push(bomb);
+        return bomb;
+    }
+
+    explode(bomb, item) {
+        const game = this.game;
+        game.combat.damageArea(bomb.x, bomb.y, item.radius, item.damage, item.knockback, bomb.owner, item.inflicts);
+
+        game.events.emit(EventBus.EVENTS.FX_IMPACT, { x: bomb.x, y: bomb.y, intensity: 2 });
+        game.events.emit(EventBus.EVENTS.FX_BURST, {
+            x: bomb.x,
+            y: bomb.y,
+            type: ParticleSystem.TYPES.EMBER,
+            intensity: 1.5
+        });
+        game.camera.addShake(12);
+    }
+
+    /* ============================================
+       EVENTS
+       ============================================ */
+
+    burst(player, type) {
+        this.game.events.emit(EventBus.EVENTS.FX_BURST, { x: player.x, y: player.y, type, intensity: 0.8 });
+    }
+
+    // Everything a HUD needs to draw the player's items, including names and
+    // icons, since the DOM UI doesn't load the item definitions
+    getState(player) {
+        const describe = id => {
+            const def = InventorySystem.ITEMS[id];
+            return { item: id, name: def.name, icon: def.icon, count: player.items[id] || 0 };
+        };
+
+        return {
+            slot: player.slot,
+            quickSlots: player.quickSlots.map(id => id ? describe(id) : null),
+            items: Object.keys(player.items).map(describe)
+        };
+    }
+
+    emitChanged(player) {
+        this.game.events.emit(EventBus.EVENTS.INVENTORY_CHANGED, this.getState(player));
+    }
+
+    emitCooldowns(player) {
+        this.game.events.emit(EventBus.EVENTS.ITEM_COOLDOWNS, {
+            slot: player.slot,
+            quickSlots: player.quickSlots.map(id => {
+                const def = id && InventorySystem.ITEMS[id];
+                return def ? { item: id, remaining: player.itemCooldowns[id] || 0, cooldown: def.cooldown } : null;
+            })
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    // Player one's quick slots in the bottom right corner, clear of the
+    // controls hint and the boss bar. Returns the left edge.
+    renderQuickSlots(ctx, player) {
+        const game = this.game;
+        const size = 40;
+        const gap = 8;
+        const count = InventorySystem.SLOT_COUNT;
+        const left = game.gameWidth - 20 - (size * count + gap * (count - 1));
+        const top = game.gameHeight - size - 20;
+        const actions = [InputMap.ACTIONS.ITEM_1, InputMap.ACTIONS.ITEM_2, InputMap.ACTIONS.ITEM_3, InputMap.ACTIONS.ITEM_4];
+
+        ctx.save();
+        player.quickSlots.forEach((id, i) => {
+            const x = left + i * (size + gap);
+            const def = id && InventorySystem.ITEMS[id];
+            const stack = id ? player.items[id] || 0 : 0;
+
+            ctx.fillStyle = 'rgba(10, 10, 15, 0.7)';
+            ctx.fillRect(x, top, size, size);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, top + 0.5, size - 1, size - 1);
+
+            if (def) {
+                ctx.globalAlpha = stack > 0 ? 1 : 0.3;
+                ctx.font = '22px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = '#fff';
+                ctx.fillText(def.icon, x + size / 2, top + size / 2 + 8);
+                ctx.globalAlpha = 1;
+
+                // Remaining cooldown, as a shade shrinking from the top
+                const cooldown = player.itemCooldowns[id] || 0;
+                if (cooldown > 0) {
+                    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                    ctx.fillRect(x, top, size, size * Math.min(1, cooldown / def.cooldown));
+                }
+
+                ctx.font = 'bold 11px sans-serif';
+                ctx.textAlign = 'right';
+                ctx.fillStyle = '#fff';
+                ctx.fillText(stack, x + size - 3, top + size - 4);
+            }
+
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText(game.getPrompt(actions[i]), x + 3, top + 11);
+        });
+        ctx.restore();
+        return left;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InventorySystem;
+}
@@ -0,0 +1,197 @@
+/**
+ * Abyss Walker - Movement System
+ * Player velocity with acceleration and friction, dashes with invulnerability and afterimages, and hops over low hazards
+ */
+
+class MovementSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // How long a dash afterimage lingers (seconds)
+        this.afterimageLife = options.afterimageLife || 0.25;
+
+        // Fading copies of dashing players, drawn beneath them
+        this.afterimages = [];
+    }
+
+    /* ============================================
+       TUNING
+       ============================================ */
+
+    static DEFAULTS = {
+        // Walking: speed change per second toward the input velocity, and
+        // braking with no input (px/s²)
+        acceleration: 1800,
+        friction: 1500,
+
+        // Dash: a burst of speed in the direction of travel (or aim when
+        // standing), untouchable for a little longer than it lasts
+        dashSpeed: 760,
+        dashDuration: 0.16,
+        dashCooldown: 0.9,
+        dashInvulnerable: 0.25,
+
+        // Hop: off the ground for its duration, clearing low hazards
+        hopDuration: 0.45,
+        hopHeight: 22,
+        hopCooldown: 0.4
+    };
+
+    /* ============================================
+       MOVEMENT
+       ============================================ */
+
+    // Steers the velocity toward the input (a dash carries it instead), then moves
+    move(p, moveX, moveY, dt) {
+        if (p.dashTime > 0) {
+            p.vx = p.dashX * p.dashSpeed;
+            p.vy = p.dashY * p.dashSpeed;
+        } else {
+            const speed = p.speed * this.game.statusEffects.getModifier(p, 'speed');
+            const targetX = moveX * speed;
+            const targetY = moveY * speed;
+            const gapX = targetX - p.vx;
+            const gapY = targetY - p.vy;
+            const gap = Math.hypot(gapX, gapY);
+            const step = (moveX !== 0 || moveY !== 0 ? p.acceleration : p.friction) * dt;
+
+            if (gap <= step) {
+                p.vx = targetX;
+                p.vy = targetY;
+            } else {
+                p.vx += (gapX / gap) * step;
+                p.vy += (gapY / gap) * step;
+            }
+        }
+
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+    }
+
+    // Halts a player on the spot, ending any dash
+    stop(p) {
+        p.vx = 0;
+        p.vy = 0;
+        p.dashTime = 0;
+    }
+
+    // Returns false while the dash cools down
+    dash(p) {
+        if (p.health <= 0 || p.downed || p.dashTimer > 0) return false;
+
+        const speed = Math.hypot(p.vx, p.vy);
+        const angle = speed > 1 ? Math.atan2(p.vy, p.vx) : p.angle;
+        p.dashX = Math.cos(angle);
+        p.dashY = Math.sin(angle);
+        p.dashTime = p.dashDuration;
+        p.dashTimer = p.dashCooldown;
+        p.invulnerable = Math.max(p.invulnerable, p.dashInvulnerable);
+
+        this.game.events.emit(EventBus.EVENTS.PLAYER_DASH, {
+            slot: p.slot,
+            x: p.x,
+            y: p.y,
+            angle,
+            cooldown: p.dashCooldown
+        });
+        return true;
+    }
+
+    // Returns false while already in the air or cooling down
+    hop(p) {
+        if (p.health <= 0 || p.downed || p.hopTime > 0 || p.hopTimer > 0) return false;
+
+        p.hopTime = p.hopDuration;
+        p.hopTimer = p.hopDuration + p.hopCooldown;
+
+        this.game.events.emit(EventBus.EVENTS.PLAYER_HOP, {
+            slot: p.slot,
+            x: p.x,
+            y: p.y,
+            cooldown: p.hopTimer
+        });
+        return true;
+    }
+
+    // Off the ground: attacks marked `low` pass underneath
+    isAirborne(p) {
+        return p.hopTime > 0;
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        this.game.getActivePlayers().forEach(p => {
+            p.dashTimer = Math.max(0, p.dashTimer - dt);
+            p.hopTimer = Math.max(0, p.hopTimer - dt);
+
+            if (p.dashTime > 0) {
+                p.dashTime = Math.max(0, p.dashTime - dt);
+                this.afterimages.push({ x: p.x, y: p.y, angle: p.angle, size: p.width, color: p.color, life: this.afterimageLife });
+            }
+
+            if (p.hopTime > 0) {
+                p.hopTime = Math.max(0, p.hopTime - dt);
+                p.z = Math.sin((1 - p.hopTime / p.hopDuration) * Math.PI) * p.hopHeight;
+                if (p.hopTime === 0) this.land(p);
+            }
+        });
+
+        this.afterimages = this.afterimages.filter(image => {
+            image.life -= dt;
+            return image.life > 0;
+        });
+    }
+
+    land(p) {
+        p.z = 0;
+        this.game.events.emit(EventBus.EVENTS.FX_BURST, {
+            x: p.x,
+            y: p.y + p.height / 2,
+            type: ParticleSystem.TYPES.DUST,
+            intensity: 0.4
+        });
+    }
+
+    clear() {
+        this.afterimages = [];
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    renderAfterimages(ctx) {
+        if (this.afterimages.length === 0) return;
+
+        ctx.save();
+        this.afterimages.forEach(image => {
+            ctx.save();
+            ctx.globalAlpha = (image.life / this.afterimageLife) * 0.45;
+            ctx.translate(image.x, image.y);
+            ctx.rotate(image.angle);
+            ctx.fillStyle = image.color;
+            ctx.fillRect(-image.size / 2, -image.size / 2, image.size, image.size);
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+
+    // Ground shadow under a hopping player, shrinking as they rise
+    renderShadow(ctx, p) {
+        const scale = 1 - (p.z / p.hopHeight) * 0.4;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.ellipse(p.x, p.y + p.height / 2, (p.width / 2) * scale, (p.height / 5) * scale, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MovementSystem;
+}
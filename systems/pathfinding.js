@@ -0,0 +1,339 @@
+/**
+ * Abyss Walker - Pathfinding
+ * Shared flow field over the level's collision grid, line-of-sight checks and crowd separation
+ */
+
+class PathfindingSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Extra gap (px) enemies try to keep between each other, and how hard
+        // they push apart relative to their own speed
+        this.separationPadding = options.separationPadding || 8;
+        this.separationWeight = options.separationWeight || 0.8;
+
+        // Spatial hash cell size for neighbour queries (px)
+        this.cellSize = options.cellSize || 64;
+
+        this.reset();
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    // Step costs on the grid: orthogonal and diagonal (x10 to stay integer)
+    static STRAIGHT_COST = 10;
+    static DIAGONAL_COST = 14;
+
+    static NEIGHBOURS = [
+        [1, 0], [-1, 0], [0, 1], [0, -1],
+        [1, 1], [1, -1], [-1, 1], [-1, -1]
+    ];
+
+    /* ============================================
+       CONTROL
+       ============================================ */
+
+    // Forgets the field and grid; rebuilt on the next update
+    reset() {
+        this.level = null;
+        this.distances = null;
+        this.sourceKey = '';
+        this.buckets = new Map();
+    }
+
+    // Called once per tick before entities move
+    update() {
+        const level = this.game.level;
+        if (level !== this.level) {
+            this.level = level;
+            this.distances = level ? new Float32Array(level.width * level.height) : null;
+            this.sourceKey = '';
+        }
+
+        if (this.level) {
+            // Only rebuild when a player crossed into another tile
+            const sources = this.game.getLivePlayers().map(p => this.level.worldToTile(p.x, p.y));
+            const key = sources.map(s => `${s.col},${s.row}`).join(';');
+            if (key !== this.sourceKey) {
+                this.sourceKey = key;
+                this.buildFlowField(sources);
+            }
+        }
+
+        this.buildBuckets();
+    }
+
+    /* ============================================
+       FLOW FIELD
+       ============================================ */
+
+    // Dijkstra from every player tile at once: each open tile ends up with the
+    // path cost to the nearest player. Diagonals may not cut wall corners.
+    buildFlowField(sources) {
+        const level = this.level;
+        const width = level.width;
+        const distances = this.distances;
+        const heap = new MinHeap();
+        distances.fill(Infinity);
+
+        sources.forEach(({ col, row }) => {
+            if (level.isSolidTile(col, row)) return;
+            distances[row * width + col] = 0;
+            heap.push(row * width + col, 0);
+        });
+
+        while (heap.size > 0) {
+            const { index, cost } = heap.pop();
+            if (cost > distances[index]) continue;
+
+            const col = index % width;
+            const row = (index - col) / width;
+
+            PathfindingSystem.NEIGHBOURS.forEach(([dx, dy]) => {
+                const nc = col + dx;
+                const nr = row + dy;
+                if (!this.canStep(col, row, dx, dy)) return;
+
+                const next = nr * width + nc;
+                const stepCost = dx && dy ? PathfindingSystem.DIAGONAL_COST : PathfindingSystem.STRAIGHT_COST;
+                if (cost + stepCost < distances[next]) {
+                    distances[next] = cost + stepCost;
+                    heap.push(next, cost + stepCost);
+                }
+            });
+        }
+    }
+
+    canStep(col, row, dx, dy) {
+        const level = this.level;
+        if (level.isSolidTile(col + dx, row + dy)) return false;
+        if (dx && dy) {
+            return !level.isSolidTile(col + dx, row) && !level.isSolidTile(col, row + dy);
+        }
+        return true;
+    }
+
+    getDistance(col, row) {
+        if (!this.distances || col < 0 || row < 0 || col >= this.level.width || row >= this.level.height) {
+            return Infinity;
+        }
+        return this.distances[row * this.level.width + col];
+    }
+
+    // Unit vector toward the centre of the cheapest neighbouring tile, or null
+    // when the position is on a player's tile, off the grid or unreachable
+    getFlowDirection(x, y) {
+        if (!this.distances) return null;
+
+        const level = this.level;
+        const { col, row } = level.worldToTile(x, y);
+        const here = this.getDistance(col, row);
+        if (here === 0 || here === Infinity) return null;
+
+        let best = here;
+        let bestCol = col;
+        let bestRow = row;
+        PathfindingSystem.NEIGHBOURS.forEach(([dx, dy]) => {
+            if (!this.canStep(col, row, dx, dy)) return;
+            const distance = this.getDistance(col + dx, row + dy);
+            if (distance < best) {
+                best = distance;
+                bestCol = col + dx;
+                bestRow = row + dy;
+            }
+        });
+        if (best === here) return null;
+
+        const tx = (bestCol + 0.5) * level.tileWidth - x;
+        const ty = (bestRow + 0.5) * level.tileHeight - y;
+        const len = Math.hypot(tx, ty) || 1;
+        return { x: tx / len, y: ty / len };
+    }
+
+    /* ============================================
+       LINE OF SIGHT
+       ============================================ */
+
+    // True when a body of the given radius can move in a straight line
+    // between the points without touching a solid tile
+    hasClearPath(x0, y0, x1, y1, radius = 0) {
+        if (!this.level) return true;
+        if (radius <= 0) return this.raycast(x0, y0, x1, y1);
+
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const len = Math.hypot(dx, dy) || 1;
+        const ox = (-dy / len) * radius;
+        const oy = (dx / len) * radius;
+
+        return this.raycast(x0, y0, x1, y1) &&
+            this.raycast(x0 + ox, y0 + oy, x1 + ox, y1 + oy) &&
+            this.raycast(x0 - ox, y0 - oy, x1 - ox, y1 - oy);
+    }
+
+    // Grid traversal (Amanatides-Woo) over every tile the segment crosses
+    raycast(x0, y0, x1, y1) {
+        const level = this.level;
+        const tw = level.tileWidth;
+        const th = level.tileHeight;
+
+        let col = Math.floor(x0 / tw);
+        let row = Math.floor(y0 / th);
+        const endCol = Math.floor(x1 / tw);
+        const endRow = Math.floor(y1 / th);
+
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const stepCol = Math.sign(dx);
+        const stepRow = Math.sign(dy);
+        const deltaX = stepCol ? Math.abs(tw / dx) : Infinity;
+        const deltaY = stepRow ? Math.abs(th / dy) : Infinity;
+        let maxX = stepCol > 0 ? ((col + 1) * tw - x0) / dx : stepCol < 0 ? (col * tw - x0) / dx : Infinity;
+        let maxY = stepRow > 0 ? ((row + 1) * th - y0) / dy : stepRow < 0 ? (row * th - y0) / dy : Infinity;
+
+        const steps = Math.abs(endCol - col) + Math.abs(endRow - row);
+        for (let i = 0; i <= steps; i++) {
+            if (level.isSolidTile(col, row)) return false;
+            if (maxX < maxY) {
+                maxX += deltaX;
+                col += stepCol;
+            } else {
+                maxY += deltaY;
+                row += stepRow;
+            }
+        }
+        return true;
+    }
+
+    /* ============================================
+       STEERING
+       ============================================ */
+
+    // Buckets every live enemy by spatial hash cell for neighbour queries
+    buildBuckets() {
+        const size = this.cellSize;
+        this.buckets.clear();
+
+        this.game.entities.forEach(entity => {
+            if (entity.dead || !entity.collider ||
+                !(entity.collider.layer & CollisionSystem.LAYERS.ENEMY)) return;
+
+            const key = `${Math.floor(entity.x / size)},${Math.floor(entity.y / size)}`;
+            let bucket = this.buckets.get(key);
+            if (!bucket) {
+                bucket = [];
+                this.buckets.set(key, bucket);
+            }
+            bucket.push(entity);
+        });
+    }
+
+    // Push away from nearby enemies, stronger the closer they are (0..~1 per neighbour)
+    getSeparation(entity) {
+        const size = this.cellSize;
+        const col = Math.floor(entity.x / size);
+        const row = Math.floor(entity.y / size);
+        const radius = entity.radius || 12;
+        let x = 0;
+        let y = 0;
+
+        for (let r = row - 1; r <= row + 1; r++) {
+            for (let c = col - 1; c <= col + 1; c++) {
+                const bucket = this.buckets.get(`${c},${r}`);
+                if (!bucket) continue;
+
+                bucket.forEach(other => {
+                    if (other === entity || other.dead) return;
+
+                    const range = radius + (other.radius || 12) + this.separationPadding;
+                    const dx = entity.x - other.x;
+                    const dy = entity.y - other.y;
+                    const distance = Math.hypot(dx, dy);
+                    // Exactly stacked bodies are left to collision push-out
+                    if (distance === 0 || distance >= range) return;
+
+                    const strength = 1 - distance / range;
+                    x += (dx / distance) * strength;
+                    y += (dy / distance) * strength;
+                });
+            }
+        }
+
+        return { x, y };
+    }
+
+    // Moves an entity along a unit direction at the given speed, blended with
+    // separation from its neighbours
+    steer(entity, dirX, dirY, speed, dt) {
+        const push = this.getSeparation(entity);
+        let vx = dirX + push.x * this.separationWeight;
+        let vy = dirY + push.y * this.separationWeight;
+
+        const len = Math.hypot(vx, vy);
+        if (len > 1) {
+            vx /= len;
+            vy /= len;
+        }
+
+        entity.x += vx * speed * dt;
+        entity.y += vy * speed * dt;
+    }
+}
+
+/* ============================================
+   BINARY HEAP
+   ============================================ */
+
+// Min-heap of tile indices by cost, for the flow field's Dijkstra
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(index, cost) {
+        const items = this.items;
+        items.push({ index, cost });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= items[i].cost) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+                if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PathfindingSystem, MinHeap };
+}
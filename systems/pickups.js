@@ -0,0 +1,360 @@
+/**
+ * Abyss Walker - Pickup System
+ * Souls, health orbs and items dropped from loot tables, pulled toward nearby players
+ */
+
+class PickupSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Top speed of a pickup flying to a player (px/s)
+        this.magnetSpeed = options.magnetSpeed || 480;
+
+        // Seconds a drop stays on the floor; it blinks for the last few
+        this.lifetime = options.lifetime || 30;
+        this.blinkTime = options.blinkTime || 4;
+
+        // Floor drops in spawn order
+        this.active = [];
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    static KINDS = {
+        SOUL: 'soul',
+        HEALTH: 'health',
+        ITEM: 'item'
+    };
+
+    // Pickup kinds: look, who may take them and what taking them does
+    static DEFINITIONS = {
+        soul: {
+            radius: 5,
+            color: '#c4b5fd',
+            collect(pickup, player, system) {
+                const game = system.game;
+                game.runStats.soulsEarned += pickup.amount;
+                game.scoring.award(player, pickup.amount);
+                game.events.emit(EventBus.EVENTS.FX_BURST, {
+                    x: pickup.x,
+                    y: pickup.y,
+                    type: ParticleSystem.TYPES.SOUL,
+                    intensity: 0.4
+                });
+            }
+        },
+        health: {
+            radius: 7,
+            color: '#ef4444',
+            // Left on the floor for someone who needs it
+            canCollect: (pickup, player) => player.health < player.maxHealth,
+            collect(pickup, player, system) {
+                const game = system.game;
+                game.healPlayer(player, pickup.amount);
+                game.events.emit(EventBus.EVENTS.FX_BURST, {
+                    x: pickup.x,
+                    y: pickup.y,
+                    type: ParticleSystem.TYPES.MAGIC,
+                    intensity: 0.5
+                });
+            }
+        },
+        item: {
+            radius: 8,
+            color: '#fbbf24',
+            // Stays on the floor while the player's stack is full
+            canCollect: (pickup, player, system) => system.game.inventory.room(player, pickup.item) > 0,
+            collect(pickup, player, system) {
+                system.game.runStats.itemsFound += system.game.inventory.add(player, pickup.item, pickup.amount);
+            }
+        }
+    };
+
+    // Loot tables by id. Every entry rolls on its own: with `chance` it drops
+    // `count` pickups worth `amount` each (a [min, max] pair picks in range).
+    // Item entries pick one of `items` by weight. Soul amounts grow with the
+    // floor difficulty.
+    static LOOT_TABLES = {
+        none: [],
+        minor: [
+            { kind: 'soul', chance: 0.5, amount: 1 }
+        ],
+        common: [
+            { kind: 'soul', chance: 1, count: [1, 2], amount: [1, 3] },
+            { kind: 'health', chance: 0.06, amount: 15 },
+            { kind: 'item', chance: 0.03, items: { potion: 3, bomb: 1, antidote: 1 } }
+        ],
+        elite: [
+            { kind: 'soul', chance: 1, count: [3, 5], amount: [2, 4] },
+            { kind: 'health', chance: 0.2, amount: 25 },
+            { kind: 'item', chance: 0.1, items: { potion: 2, bomb: 2, elixir: 1, ward: 1, antidote: 1 } }
+        ],
+        boss: [
+            { kind: 'soul', chance: 1, count: [12, 16], amount: [4, 8] },
+            { kind: 'health', chance: 1, count: 3, amount: 30 },
+            { kind: 'item', chance: 1, count: 2, items: { potion: 2, bomb: 1, elixir: 2, ward: 2, antidote: 1 } }
+        ]
+    };
+
+    // Adds or replaces a pickup kind
+    static define(kind, definition) {
+        PickupSystem.DEFINITIONS[kind] = definition;
+        return definition;
+    }
+
+    // Adds or replaces a loot table
+    static defineTable(id, entries) {
+        PickupSystem.LOOT_TABLES[id] = entries;
+        return entries;
+    }
+
+    /* ============================================
+       DROPPING
+       ============================================ */
+
+    // Rolls a loot table and scatters the result around a point
+    drop(tableId, x, y) {
+        const table = PickupSystem.LOOT_TABLES[tableId];
+        if (!table) {
+            console.warn(`[Pickups] Unknown loot table "${tableId}"`);
+            return [];
+        }
+
+        const rng = this.game.rng;
+        const dropped = [];
+        table.forEach(entry => {
+            if (!rng.chance(entry.chance)) return;
+
+            const count = this.roll(entry.count || 1);
+            for (let i = 0; i < count; i++) {
+                let amount = this.roll(entry.amount || 1);
+                if (entry.kind === PickupSystem.KINDS.SOUL) {
+                    amount = Math.max(1, Math.round(amount * this.game.difficulty));
+                }
+                const item = entry.items ? this.pickItem(entry.items) : null;
+                dropped.push(this.spawn(entry.kind, x, y, { amount, item, scatter: true }));
+            }
+        });
+        return dropped;
+    }
+
+    // A number, or a random integer within a [min, max] pair
+    roll(value) {
+        return Array.isArray(value) ? this.game.rng.int(value[0], value[1]) : value;
+    }
+
+    // One id from an { id: weight } map
+    pickItem(weights) {
+        const ids = Object.keys(weights);
+        const total = ids.reduce((sum, id) => sum + weights[id], 0);
+        let roll = this.game.rng.range(0, total);
+        for (const id of ids) {
+            roll -= weights[id];
+            if (roll < 0) return id;
+        }
+        return ids[ids.length - 1];
+    }
+
+    // Options: amount, item (item pickups), scatter (pop out in a random direction)
+    spawn(kind, x, y, options = {}) {
+        const def = PickupSystem.DEFINITIONS[kind];
+        if (!def) throw new Error(`Unknown pickup kind "${kind}"`);
+
+        const pickup = {
+            kind,
+            definition: def,
+            x, y,
+            prevX: x,
+            prevY: y,
+            vx: 0,
+            vy: 0,
+            radius: def.radius,
+            amount: options.amount || 1,
+            item: options.item || null,
+            age: 0,
+            magnetised: false,
+            dead: false
+        };
+
+        if (options.scatter) {
+            const rng = this.game.rng;
+            const angle = rng.range(0, Math.PI * 2);
+            const speed = rng.range(60, 160);
+            pickup.vx = Math.cos(angle) * speed;
+            pickup.vy = Math.sin(angle) * speed;
+        }
+
+        this.active.push(pickup);
+        return pickup;
+    }
+
+    clear() {
+        this.active = [];
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        if (this.active.length === 0) return;
+
+        const players = this.game.getLivePlayers();
+        this.active.forEach(pickup => {
+            pickup.age += dt;
+            if (pickup.age >= this.lifetime) {
+                pickup.dead = true;
+                return;
+            }
+
+            const target = this.findCollector(pickup, players);
+            if (target) {
+                this.pull(pickup, target, dt);
+            } else {
+                this.slide(pickup, dt);
+            }
+        });
+
+        this.active = this.active.filter(pickup => !pickup.dead);
+    }
+
+    // Nearest live player who may take the pickup and has it within their magnet radius
+    findCollector(pickup, players) {
+        const canCollect = pickup.definition.canCollect;
+        let nearest = null;
+        let best = Infinity;
+
+        players.forEach(p => {
+            if (canCollect && !canCollect(pickup, p, this)) return;
+            const distance = Math.hypot(p.x - pickup.x, p.y - pickup.y);
+            if (distance <= p.magnetRadius && distance < best) {
+                best = distance;
+                nearest = p;
+            }
+        });
+        return nearest;
+    }
+
+    // Flies toward the player, faster the longer it has been pulled, and is
+    // taken on touch
+    pull(pickup, player, dt) {
+        const dx = player.x - pickup.x;
+        const dy = player.y - pickup.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        const reach = player.collider.radius + pickup.radius;
+
+        if (distance <= reach) {
+            this.collect(pickup, player);
+            return;
+        }
+
+        pickup.magnetised = true;
+        const speed = Math.min(this.magnetSpeed, Math.hypot(pickup.vx, pickup.vy) + this.magnetSpeed * 3 * dt);
+        pickup.vx = (dx / distance) * speed;
+        pickup.vy = (dy / distance) * speed;
+
+        const step = Math.min(speed * dt, distance);
+        pickup.x += (dx / distance) * step;
+        pickup.y += (dy / distance) * step;
+
+        if (distance - step <= reach) this.collect(pickup, player);
+    }
+
+    // Coasts to a stop after being dropped, without crossing walls
+    slide(pickup, dt) {
+        if (pickup.magnetised) {
+            // The player it was flying to moved out of range
+            pickup.magnetised = false;
+        }
+
+        const drag = Math.pow(0.02, dt);
+        pickup.vx *= drag;
+        pickup.vy *= drag;
+        if (Math.abs(pickup.vx) < 1 && Math.abs(pickup.vy) < 1) return;
+
+        const x = pickup.x + pickup.vx * dt;
+        const y = pickup.y + pickup.vy * dt;
+        const level = this.game.level;
+        if ((level && level.isSolidAt(x, y)) || x < 0 || y < 0 ||
+            x > this.game.worldWidth || y > this.game.worldHeight) {
+            pickup.vx = 0;
+            pickup.vy = 0;
+            return;
+        }
+        pickup.x = x;
+        pickup.y = y;
+    }
+
+    collect(pickup, player) {
+        if (pickup.dead) return;
+        pickup.dead = true;
+        pickup.definition.collect(pickup, player, this);
+
+        this.game.events.emit(EventBus.EVENTS.PICKUP_COLLECTED, {
+            slot: player.slot,
+            kind: pickup.kind,
+            item: pickup.item,
+            amount: pickup.amount,
+            x: pickup.x,
+            y: pickup.y
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    render(ctx) {
+        ctx.save();
+        this.active.forEach(pickup => {
+            const left = this.lifetime - pickup.age;
+            if (left < this.blinkTime && Math.floor(left * 8) % 2 === 0) return;
+
+            const def = pickup.definition;
+            const bob = pickup.magnetised ? 0 : Math.sin(pickup.age * 4 + pickup.x * 0.05) * 2;
+            const x = pickup.x;
+            const y = pickup.y + bob;
+            const r = pickup.radius;
+
+            ctx.fillStyle = def.color;
+            ctx.shadowColor = def.color;
+            ctx.shadowBlur = 12;
+
+            if (pickup.kind === PickupSystem.KINDS.HEALTH) {
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.shadowBlur = 0;
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(x - r * 0.5, y - r * 0.15, r, r * 0.3);
+                ctx.fillRect(x - r * 0.15, y - r * 0.5, r * 0.3, r);
+            } else if (pickup.kind === PickupSystem.KINDS.ITEM) {
+                ctx.beginPath();
+                ctx.moveTo(x, y - r);
+                ctx.lineTo(x + r, y);
+                ctx.lineTo(x, y + r);
+                ctx.lineTo(x - r, y);
+                ctx.closePath();
+                ctx.fill();
+            } else {
+                // Wisp: bright core with a soft tail
+                ctx.globalAlpha = 0.5;
+                ctx.beginPath();
+                ctx.arc(x, y + r * 0.6, r * 0.8, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PickupSystem;
+}
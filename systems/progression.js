@@ -0,0 +1,456 @@
+/**
+ * Abyss Walker - Progression System
+ * Party experience from kills, a level curve, and pick-one-of-three upgrades on every level-up
+ */
+
+class ProgressionSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // XP needed to go from level n to n + 1: base * n^exponent
+        this.curveBase = options.curveBase || 60;
+        this.curveExponent = options.curveExponent || 1.5;
+
+        // Upgrades offered per level-up
+        this.choiceCount = options.choiceCount || 3;
+
+        this.reset();
+    }
+
+    /* ============================================
+       UPGRADES
+       ============================================ */
+
+    // Upgrades by id. `apply(player, system)` changes the player's stats for
+    // the rest of the run (multiplying goes through `system.scale()`);
+    // `maxStacks` limits how often it can be taken and `weight` how often it
+    // is offered.
+    static UPGRADES = {
+        might: {
+            name: 'Might',
+            icon: '⚔️',
+            description: '+20% attack and special damage',
+            weight: 10,
+            apply(player, system) {
+                system.scale(player, 'attackDamage', 1.2);
+                system.scale(player, 'specialDamage', 1.2);
+            }
+        },
+        swiftness: {
+            name: 'Swiftness',
+            icon: '👟',
+            description: '+12% movement speed',
+            weight: 8,
+            maxStacks: 5,
+            apply(player, system) {
+                system.scale(player, 'speed', 1.12);
+            }
+        },
+        vitality: {
+            name: 'Vitality',
+            icon: '❤️',
+            description: '+25 max health, healed in full',
+            weight: 10,
+            apply(player, system) {
+                player.maxHealth += 25;
+                system.game.healPlayer(player, player.maxHealth);
+            }
+        },
+        frenzy: {
+            name: 'Frenzy',
+            icon: '⚡',
+            description: 'Attack 12% faster',
+            weight: 7,
+            maxStacks: 4,
+            apply(player, system) {
+                system.scale(player, 'attackCooldown', 0.88);
+            }
+        },
+        reach: {
+            name: 'Reach',
+            icon: '🗡️',
+            description: '+15% attack range and a wider swing',
+            weight: 6,
+            maxStacks: 3,
+            apply(player, system) {
+                system.scale(player, 'attackRange', 1.15);
+                system.scale(player, 'attackArc', 1.1);
+            }
+        },
+        bulwark: {
+            name: 'Bulwark',
+            icon: '🛡️',
+            description: 'Longer parry window, blocks stop more damage',
+            weight: 5,
+            maxStacks: 3,
+            apply(player) {
+                player.parryWindow += 0.05;
+                player.blockReduction = Math.min(0.95, player.blockReduction + 0.1);
+            }
+        },
+        soulstorm: {
+            name: 'Soulstorm',
+            icon: '✨',
+            description: '+2 special bolts',
+            weight: 5,
+            maxStacks: 3,
+            apply(player) {
+                player.specialBolts += 2;
+            }
+        },
+        attraction: {
+            name: 'Attraction',
+            icon: '🧲',
+            description: 'Pick up souls and items from 40% further away',
+            weight: 4,
+            maxStacks: 3,
+            apply(player, system) {
+                system.scale(player, 'magnetRadius', 1.4);
+            }
+        },
+
+        // New abilities
+        vampirism: {
+            name: 'Vampirism',
+            icon: '🩸',
+            description: 'Every kill heals 3',
+            weight: 3,
+            maxStacks: 3,
+            apply(player) {
+                player.lifesteal += 3;
+            }
+        },
+        regeneration: {
+            name: 'Regeneration',
+            icon: '🌿',
+            description: 'Regenerate 1 health per second',
+            weight: 3,
+            maxStacks: 3,
+            apply(player) {
+                player.regeneration += 1;
+            }
+        },
+        serrated: {
+            name: 'Serrated Edge',
+            icon: '🪚',
+            description: 'Attacks make enemies bleed',
+            weight: 4,
+            maxStacks: 1,
+            apply(player) {
+                player.attackInflicts = 'bleed';
+            }
+        },
+        purity: {
+            name: 'Purity',
+            icon: '🧿',
+            description: 'Immune to poison',
+            weight: 3,
+            maxStacks: 1,
+            apply(player, system) {
+                player.immune.push('poison');
+                system.game.statusEffects.remove(player, 'poison');
+            }
+        },
+        wellspring: {
+            name: 'Wellspring',
+            icon: '💧',
+            description: '+25 max mana, 25% faster mana regeneration',
+            weight: 6,
+            maxStacks: 3,
+            apply(player, system) {
+                player.maxMana += 25;
+                system.scale(player, 'manaRegen', 1.25);
+                system.game.abilities.emitMana(player);
+            }
+        },
+
+        // New abilities for the special action (see AbilitySystem)
+        blink: {
+            name: 'Blink',
+            icon: '💨',
+            description: 'Learn Blink: dash through danger',
+            weight: 4,
+            maxStacks: 1,
+            apply(player, system) {
+                system.game.abilities.unlock(player, 'blink');
+            }
+        },
+        aegis: {
+            name: 'Aegis',
+            icon: '🔰',
+            description: 'Learn Aegis: a shield that soaks 60 damage',
+            weight: 4,
+            maxStacks: 1,
+            apply(player, system) {
+                system.game.abilities.unlock(player, 'aegis');
+            }
+        },
+        wisp: {
+            name: 'Soul Wisp',
+            icon: '👻',
+            description: 'Learn Soul Wisp: a spirit that shoots for you',
+            weight: 3,
+            maxStacks: 1,
+            apply(player, system) {
+                system.game.abilities.unlock(player, 'wisp');
+            }
+        }
+    };
+
+    // Adds or replaces an upgrade
+    static define(id, definition) {
+        ProgressionSystem.UPGRADES[id] = definition;
+        return definition;
+    }
+
+    /* ============================================
+       EXPERIENCE
+       ============================================ */
+
+    reset() {
+        this.level = 1;
+        this.xp = 0;
+
+        // Level-ups still waiting for their upgrade picks
+        this.pendingLevels = 0;
+
+        // Upgrade ids offered to each player slot that has yet to pick
+        this.offers = new Map();
+    }
+
+    // XP from the current level to the next
+    getRequired(level = this.level) {
+        return Math.round(this.curveBase * Math.pow(level, this.curveExponent));
+    }
+
+    // The whole party shares one pool, so everyone levels together
+    addXP(amount) {
+        if (amount <= 0) return;
+        this.xp += amount;
+
+        while (this.xp >= this.getRequired()) {
+            this.xp -= this.getRequired();
+            this.level++;
+            this.pendingLevels++;
+            this.onLevelUp();
+        }
+
+        this.emitXP(amount);
+        if (this.pendingLevels > 0 && !this.choosing) this.offerUpgrades();
+    }
+
+    onLevelUp() {
+        const game = this.game;
+        console.log(`[Progression] Level ${this.level}`);
+        game.events.emit(EventBus.EVENTS.PLAYER_LEVEL_UP, { level: this.level });
+        game.getActivePlayers().forEach(p => {
+            game.events.emit(EventBus.EVENTS.FX_LEVEL_UP, { x: p.x, y: p.y });
+        });
+    }
+
+    emitXP(amount = 0) {
+        this.game.events.emit(EventBus.EVENTS.XP_CHANGED, {
+            xp: this.xp,
+            required: this.getRequired(),
+            level: this.level,
+            amount
+        });
+    }
+
+    // Health regeneration, in whole points so the HUD isn't flooded
+    update(dt) {
+        this.game.getLivePlayers().forEach(p => {
+            if (p.regeneration <= 0 || p.health >= p.maxHealth) return;
+            p.regenProgress += p.regeneration * dt;
+            if (p.regenProgress >= 1) {
+                const points = Math.floor(p.regenProgress);
+                p.regenProgress -= points;
+                this.game.healPlayer(p, points);
+            }
+        });
+    }
+
+    /* ============================================
+       UPGRADE CHOICES
+       ============================================ */
+
+    // True while the world waits for players to pick an upgrade
+    get choosing() {
+        return this.offers.size > 0;
+    }
+
+    // Every player in the run gets their own offer for the next level-up
+    offerUpgrades() {
+        this.game.getActivePlayers().forEach(p => {
+            const choices = this.rollChoices(p);
+            if (choices.length === 0) return;
+            this.offers.set(p.slot, choices);
+            this.game.events.emit(EventBus.EVENTS.UPGRADE_OFFER, {
+                slot: p.slot,
+                level: this.level - this.pendingLevels + 1,
+                choices: choices.map(id => this.describe(id))
+            });
+        });
+
+        // Nothing left to offer anyone
+        if (!this.choosing) this.pendingLevels = 0;
+    }
+
+    // Distinct upgrades by weight, skipping any the player has maxed out
+    rollChoices(player) {
+        const rng = this.game.rng;
+        const pool = Object.keys(ProgressionSystem.UPGRADES).filter(id => {
+            const def = ProgressionSystem.UPGRADES[id];
+            return !def.maxStacks || (player.upgrades[id] || 0) < def.maxStacks;
+        });
+
+        const choices = [];
+        while (choices.length < this.choiceCount && pool.length > 0) {
+            const total = pool.reduce((sum, id) => sum + ProgressionSystem.UPGRADES[id].weight, 0);
+            let roll = rng.range(0, total);
+            let index = pool.length - 1;
+            for (let i = 0; i < pool.length; i++) {
+                roll -= ProgressionSystem.UPGRADES[pool[i]].weight;
+                if (roll < 0) {
+                    index = i;
+                    break;
+                }
+            }
+            choices.push(pool.splice(index, 1)[0]);
+        }
+        return choices;
+    }
+
+    describe(id) {
+        const def = ProgressionSystem.UPGRADES[id];
+        return { id, name: def.name, icon: def.icon, description: def.description };
+    }
+
+    // The item1-item3 actions pick the first to third card while choosing
+    handleChoices(frame) {
+        const game = this.game;
+        this.offers.forEach((choices, slot) => {
+            const player = game.getPlayer(slot);
+            const input = frame.players[slot];
+            if (!player || player.left) {
+                this.offers.delete(slot);
+                return;
+            }
+            if (!input) return;
+
+            const pick = ['item1', 'item2', 'item3'].findIndex(action => input.actions.includes(action));
+            if (pick !== -1 && pick < choices.length) this.choose(player, choices[pick]);
+        });
+
+        if (!this.choosing) {
+            this.pendingLevels--;
+            if (this.pendingLevels > 0) this.offerUpgrades();
+        }
+    }
+
+    // Multiplies a stat for good, timed buffs on it included (see
+    // InventorySystem.scaleStat)
+    scale(player, stat, factor) {
+        this.game.inventory.scaleStat(player, stat, factor);
+    }
+
+    choose(player, id) {
+        const def = ProgressionSystem.UPGRADES[id];
+        def.apply(player, this);
+        player.upgrades[id] = (player.upgrades[id] || 0) + 1;
+        this.offers.delete(player.slot);
+
+        this.game.events.emit(EventBus.EVENTS.UPGRADE_CHOSEN, {
+            slot: player.slot,
+            id,
+            name: def.name,
+            stacks: player.upgrades[id]
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    // Thin party XP bar under the health bars
+    renderBar(ctx, y) {
+        const width = 200;
+        const percent = Math.min(1, this.xp / this.getRequired());
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(20, y, width, 6);
+        ctx.fillStyle = '#a78bfa';
+        ctx.fillRect(20, y, width * percent, 6);
+
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Lv ${this.level}`, 20 + width + 8, y + 7);
+    }
+
+    // One row of cards per player still choosing
+    renderChoices(ctx) {
+        const game = this.game;
+        const cardWidth = 220;
+        const cardHeight = 84;
+        const gap = 16;
+        const rows = [...this.offers.entries()];
+        const prompts = ['item1', 'item2', 'item3'].map(action => game.getPrompt(action));
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, game.gameWidth, game.gameHeight);
+
+        let y = game.gameHeight / 2 - (rows.length * (cardHeight + 36)) / 2;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffd700';
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(`Level ${this.level - this.pendingLevels + 1}!`, game.gameWidth / 2, y - 24);
+
+        rows.forEach(([slot, choices]) => {
+            const player = game.getPlayer(slot);
+            const left = (game.gameWidth - (choices.length * cardWidth + (choices.length - 1) * gap)) / 2;
+
+            if (rows.length > 1 || game.players.length > 1) {
+                ctx.fillStyle = player.color;
+                ctx.font = 'bold 14px sans-serif';
+                ctx.textAlign = 'left';
+                ctx.fillText(`P${slot + 1}`, left, y + 14);
+            }
+            y += 22;
+
+            choices.forEach((id, i) => {
+                const def = ProgressionSystem.UPGRADES[id];
+                const x = left + i * (cardWidth + gap);
+
+                ctx.fillStyle = 'rgba(20, 16, 36, 0.95)';
+                ctx.fillRect(x, y, cardWidth, cardHeight);
+                ctx.strokeStyle = player.color;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x, y, cardWidth, cardHeight);
+
+                ctx.textAlign = 'left';
+                ctx.fillStyle = '#fff';
+                ctx.font = '24px sans-serif';
+                ctx.fillText(def.icon, x + 12, y + 36);
+                ctx.font = 'bold 15px sans-serif';
+                ctx.fillText(def.name, x + 48, y + 30);
+                ctx.fillStyle = '#cbd5e1';
+                ctx.font = '12px sans-serif';
+                ctx.fillText(def.description, x + 12, y + 62, cardWidth - 24);
+
+                ctx.textAlign = 'right';
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.font = '11px sans-serif';
+                ctx.fillText(prompts[i], x + cardWidth - 8, y + 16);
+            });
+            y += cardHeight + 14;
+        });
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressionSystem;
+}
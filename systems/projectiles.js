@@ -0,0 +1,223 @@
+/**
+ * Abyss Walker - Projectile System
+ * Pooled projectiles with speed, lifetime, pierce and homing that hit entities of the other faction and level walls
+ */
+
+class ProjectileSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Most projectiles alive at once; the oldest is recycled past this
+        this.maxProjectiles = options.maxProjectiles || 512;
+
+        // Live projectiles in spawn order, and released ones ready for reuse
+        this.active = [];
+        this.pool = [];
+
+        // Reused collider for hit tests
+        this.probe = { x: 0, y: 0, collider: CollisionSystem.circle(1) };
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    static FACTIONS = {
+        PLAYER: 'player',
+        ENEMY: 'enemy'
+    };
+
+    // Spawn options and their defaults
+    static DEFAULTS = {
+        speed: 400,
+        radius: 5,
+        damage: 10,
+        life: 2,            // seconds before it fizzles
+        pierce: 0,          // extra targets it passes through
+        homing: 0,          // turn rate toward the nearest target (rad/s)
+        homingRange: 300,   // how far it looks for a target (px)
+        knockback: 0,
+        color: '#f093fb',
+        faction: 'enemy',
+        owner: null,
+        inflicts: null      // status effect applied on a hit (see StatusEffectSystem)
+    };
+
+    /* ============================================
+       SPAWNING
+       ============================================ */
+
+    // Options: x, y, angle, plus any of DEFAULTS
+    spawn(options) {
+        const projectile = this.acquire();
+        Object.assign(projectile, ProjectileSystem.DEFAULTS, options);
+
+        projectile.vx = Math.cos(options.angle || 0) * projectile.speed;
+        projectile.vy = Math.sin(options.angle || 0) * projectile.speed;
+        projectile.angle = options.angle || 0;
+        projectile.age = 0;
+        projectile.dead = false;
+        projectile.hits.length = 0;
+        projectile.prevX = projectile.x;
+        projectile.prevY = projectile.y;
+
+        this.active.push(projectile);
+        return projectile;
+    }
+
+    acquire() {
+        if (this.active.length >= this.maxProjectiles) {
+            const oldest = this.active.shift();
+            oldest.dead = true;
+            return oldest;
+        }
+        return this.pool.pop() || { hits: [] };
+    }
+
+    release(projectile) {
+        projectile.dead = true;
+        projectile.owner = null;
+        projectile.hits.length = 0;
+        this.pool.push(projectile);
+    }
+
+    // Removes every projectile, or only those of one faction
+    clear(faction = null) {
+        this.active = this.active.filter(projectile => {
+            if (faction && projectile.faction !== faction) return true;
+            this.release(projectile);
+            return false;
+        });
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        if (this.active.length === 0) return;
+
+        // Targets per faction, gathered once per tick
+        const FACTIONS = ProjectileSystem.FACTIONS;
+        this.targets = {
+            [FACTIONS.ENEMY]: this.game.getLivePlayers(),
+            [FACTIONS.PLAYER]: this.game.entities.filter(entity =>
+                entity.collider && (entity.collider.layer & CollisionSystem.LAYERS.ENEMY)
+            )
+        };
+
+        this.active.forEach(projectile => {
+            if (projectile.dead) return;
+
+            if (projectile.homing > 0) this.steer(projectile, dt);
+
+            projectile.x += projectile.vx * dt;
+            projectile.y += projectile.vy * dt;
+            projectile.age += dt;
+
+            if (projectile.age >= projectile.life || this.hitsWall(projectile)) {
+                projectile.dead = true;
+                return;
+            }
+
+            this.checkHits(projectile);
+        });
+
+        this.active = this.active.filter(projectile => {
+            if (!projectile.dead) return true;
+            this.release(projectile);
+            return false;
+        });
+    }
+
+    // Bodies a projectile can hit: live players for enemy shots, enemies for player shots
+    getTargets(projectile) {
+        return this.targets[projectile.faction] || [];
+    }
+
+    // Turns the velocity toward the nearest target in range, at most homing rad/s
+    steer(projectile, dt) {
+        let nearest = null;
+        let best = projectile.homingRange;
+        this.getTargets(projectile).forEach(target => {
+            if (target.dead || projectile.hits.includes(target)) return;
+            const distance = Math.hypot(target.x - projectile.x, target.y - projectile.y);
+            if (distance < best) {
+                best = distance;
+                nearest = target;
+            }
+        });
+        if (!nearest) return;
+
+        const desired = Math.atan2(nearest.y - projectile.y, nearest.x - projectile.x);
+        let turn = desired - projectile.angle;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const maxTurn = projectile.homing * dt;
+
+        projectile.angle += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        projectile.vx = Math.cos(projectile.angle) * projectile.speed;
+        projectile.vy = Math.sin(projectile.angle) * projectile.speed;
+    }
+
+    hitsWall(projectile) {
+        const game = this.game;
+        if (projectile.x < 0 || projectile.y < 0 || projectile.x > game.worldWidth || projectile.y > game.worldHeight) {
+            return true;
+        }
+        return game.level ? game.level.isSolidAt(projectile.x, projectile.y) : false;
+    }
+
+    checkHits(projectile) {
+        const probe = this.probe;
+        probe.x = projectile.x;
+        probe.y = projectile.y;
+        probe.collider.radius = projectile.radius;
+
+        for (const target of this.getTargets(projectile)) {
+            if (target.dead || projectile.hits.includes(target)) continue;
+            if (!target.collider.enabled || this.game.collisions.intersect(probe, target) === null) continue;
+
+            projectile.hits.push(target);
+            this.hit(projectile, target);
+
+            if (projectile.hits.length > projectile.pierce) {
+                projectile.dead = true;
+                return;
+            }
+        }
+    }
+
+    hit(projectile, target) {
+        const game = this.game;
+
+        if (projectile.faction === ProjectileSystem.FACTIONS.ENEMY) {
+            game.damagePlayer(target, projectile.damage, projectile);
+        } else {
+            game.combat.damageEnemy(target, projectile.damage, projectile.angle, projectile.knockback, projectile.owner, projectile.inflicts);
+        }
+
+        game.events.emit(EventBus.EVENTS.FX_IMPACT, { x: projectile.x, y: projectile.y, intensity: 0.4 });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    render(ctx) {
+        ctx.save();
+        this.active.forEach(projectile => {
+            ctx.fillStyle = projectile.color;
+            ctx.shadowColor = projectile.color;
+            ctx.shadowBlur = 10;
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectileSystem;
+}
@@ -0,0 +1,135 @@
+/**
+ * Abyss Walker - Seeded Random
+ * Deterministic pseudo-random numbers from a seed string (mulberry32) and named streams
+ */
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /* ============================================
+       SEEDS
+       ============================================ */
+
+    // 32-bit hash of a string (cyrb53 folded to 32 bits)
+    static hashSeed(seed) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < seed.length; i++) {
+            const ch = seed.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (h1 ^ h2) >>> 0;
+    }
+
+    // Short, shareable seed such as "k3f9q2"
+    static randomSeed() {
+        return Math.random().toString(36).slice(2, 8);
+    }
+
+    /* ============================================
+       NUMBERS
+       ============================================ */
+
+    // Float in [0, 1), drop-in for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+    }
+
+    // Shuffles in place (Fisher-Yates) and returns the list
+    shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
+    }
+}
+
+/* ============================================
+   RANDOM SERVICE
+   ============================================ */
+
+// Independent streams derived from one seed, so drawing cosmetic numbers
+// (particles, audio) never shifts gameplay outcomes
+class RandomService {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = String(seed);
+        this.streams = new Map();
+    }
+
+    static STREAMS = {
+        GAMEPLAY: 'gameplay',
+        PARTICLES: 'particles',
+        AUDIO: 'audio'
+    };
+
+    // Reseeds every stream in place; references held by systems stay valid
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.streams.forEach((stream, name) => stream.setSeed(`${this.seed}/${name}`));
+    }
+
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new SeededRandom(`${this.seed}/${name}`);
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    get gameplay() {
+        return this.stream(RandomService.STREAMS.GAMEPLAY);
+    }
+
+    get particles() {
+        return this.stream(RandomService.STREAMS.PARTICLES);
+    }
+
+    get audio() {
+        return this.stream(RandomService.STREAMS.AUDIO);
+    }
+}
+
+// Shared instance; the game reseeds it at the start of every run
+window.random = new RandomService();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, RandomService };
+}
@@ -0,0 +1,382 @@
+/**
+ * Abyss Walker - Replay System
+ * Records a run as its seed plus one input frame per simulation tick, and plays it back
+ */
+
+class ReplaySystem {
+    constructor(game) {
+        this.game = game;
+
+        this.state = ReplaySystem.STATES.IDLE;
+        this.speed = 1;
+        this.seeking = false;
+
+        // The run being recorded, or the replay being played
+        this.current = null;
+        this.cursor = 0;
+
+        // Ticks between REPLAY_STATE progress events while playing
+        this.progressInterval = 30;
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    static STATES = {
+        IDLE: 'idle',
+        RECORDING: 'recording',
+        PLAYING: 'playing',
+        FINISHED: 'finished'
+    };
+
+    static FORMAT = 'abyss-replay';
+    // 2: one input per player slot in every frame (local co-op)
+    // 3: quick-slot assignments stored beside the frames
+    static VERSION = 3;
+
+    // Bit index of each recordable action; append only, never reorder
+    static ACTIONS = [
+        'attack', 'defend', 'descend', 'jump', 'special', 'item1', 'item2', 'item3', 'item4',
+        'playerJoin', 'playerLeave', 'nextAbility', 'dash'
+    ];
+
+    // Input of a player slot with nothing recorded for the tick
+    static EMPTY_INPUT = Object.freeze({ moveX: 0, moveY: 0, aimX: 0, aimY: 0, actions: Object.freeze([]) });
+
+    static SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+    // Run-length encoded records: count u16, players u8, then per player
+    // moveX i8, moveY i8, aimX i16, aimY i16, actions u16. Version 1 records
+    // had no players byte and exactly one player.
+    static HEADER_SIZE = 3;
+    static INPUT_SIZE = 8;
+
+    /* ============================================
+       RECORDING
+       ============================================ */
+
+    startRecording(seed) {
+        this.state = ReplaySystem.STATES.RECORDING;
+        this.current = {
+            seed: String(seed),
+            level: null,
+            step: this.game.fixedStep,
+            frames: []
+        };
+    }
+
+    // Called once per simulation tick with the frame the game applied
+    record(frame) {
+        if (this.current.frames.length === 0) {
+            this.current.level = this.game.levelNumber;
+        }
+        this.current.frames.push(frame);
+    }
+
+    get isRecording() {
+        return this.state === ReplaySystem.STATES.RECORDING;
+    }
+
+    /* ============================================
+       PLAYBACK
+       ============================================ */
+
+    play(replay) {
+        this.current = replay;
+        this.cursor = 0;
+        this.speed = 1;
+        this.state = ReplaySystem.STATES.PLAYING;
+        console.log(`[Replay] Playing ${replay.frames.length} ticks (seed ${replay.seed})`);
+        this.emitState();
+    }
+
+    // Frame for the current tick; finishes playback after the last one
+    nextFrame() {
+        const frames = this.current.frames;
+        const frame = frames[this.cursor++];
+
+        if (this.cursor >= frames.length) {
+            this.state = ReplaySystem.STATES.FINISHED;
+            console.log('[Replay] Finished');
+        }
+
+        if (!this.seeking && (this.cursor % this.progressInterval === 0 || this.isFinished)) {
+            this.emitState();
+        }
+
+        return frame;
+    }
+
+    stop() {
+        this.state = ReplaySystem.STATES.IDLE;
+        this.current = null;
+        this.cursor = 0;
+        this.speed = 1;
+        this.emitState();
+    }
+
+    setSpeed(speed) {
+        const speeds = ReplaySystem.SPEEDS;
+        this.speed = Math.max(speeds[0], Math.min(speeds[speeds.length - 1], speed));
+        this.emitState();
+    }
+
+    // Steps to the next/previous preset speed
+    changeSpeed(direction) {
+        const speeds = ReplaySystem.SPEEDS;
+        const index = speeds.findIndex(s => s >= this.speed);
+        const next = Math.max(0, Math.min(speeds.length - 1, index + direction));
+        this.setSpeed(speeds[next]);
+    }
+
+    // Re-simulates from the start of the run up to the target tick
+    async seek(tick) {
+        if (!this.current || this.isRecording || this.seeking) return;
+
+        const target = Math.max(0, Math.min(this.current.frames.length, Math.floor(tick)));
+        this.seeking = true;
+        this.emitState();
+
+        try {
+            if (target < this.cursor || this.isFinished) {
+                this.cursor = 0;
+                this.state = ReplaySystem.STATES.PLAYING;
+                await this.game.restartReplay(this.current);
+            }
+
+            while (this.cursor < target && this.isPlaying) {
+                // Level changes inside the replay load asynchronously
+                if (this.game.levelLoading) await this.game.levelLoad;
+                this.game.simulateTick();
+            }
+        } finally {
+            this.seeking = false;
+            this.emitState();
+        }
+    }
+
+    get isPlaying() {
+        return this.state === ReplaySystem.STATES.PLAYING;
+    }
+
+    get isFinished() {
+        return this.state === ReplaySystem.STATES.FINISHED;
+    }
+
+    // True while the game is driven by a replay rather than live input
+    get isActive() {
+        return this.isPlaying || this.isFinished;
+    }
+
+    getStatus() {
+        const step = this.current?.step || this.game.fixedStep;
+        const ticks = this.current ? this.current.frames.length : 0;
+        const tick = this.isActive ? this.cursor : ticks;
+
+        return {
+            state: this.state,
+            tick,
+            ticks,
+            time: tick * step,
+            duration: ticks * step,
+            speed: this.speed,
+            seeking: this.seeking
+        };
+    }
+
+    emitState() {
+        this.game.events.emit(EventBus.EVENTS.REPLAY_STATE, this.getStatus());
+    }
+
+    /* ============================================
+       FILES
+       ============================================ */
+
+    // JSON envelope with the frames run-length encoded as Base64
+    export() {
+        if (!this.current || this.current.frames.length === 0) return null;
+
+        return JSON.stringify({
+            format: ReplaySystem.FORMAT,
+            version: ReplaySystem.VERSION,
+            seed: this.current.seed,
+            level: this.current.level,
+            step: this.current.step,
+            ticks: this.current.frames.length,
+            frames: ReplaySystem.encodeFrames(this.current.frames),
+            assignments: ReplaySystem.collectAssignments(this.current.frames)
+        });
+    }
+
+    download() {
+        const text = this.export();
+        if (!text) {
+            console.warn('[Replay] Nothing recorded yet');
+            return false;
+        }
+
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `abyss-replay-${this.current.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+
+    static parse(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (data.format !== ReplaySystem.FORMAT) {
+            throw new Error('Not an Abyss Walker replay file');
+        }
+        if (data.version > ReplaySystem.VERSION) {
+            throw new Error(`Replay version ${data.version} is newer than this game supports`);
+        }
+
+        const frames = ReplaySystem.decodeFrames(data.frames, data.version);
+        if (frames.length !== data.ticks) {
+            throw new Error(`Replay is corrupt (expected ${data.ticks} ticks, found ${frames.length})`);
+        }
+        ReplaySystem.restoreAssignments(frames, data.assignments || []);
+
+        return {
+            seed: String(data.seed),
+            level: data.level || 1,
+            step: data.step,
+            frames
+        };
+    }
+
+    static encodeFrames(frames) {
+        const records = [];
+        frames.forEach(frame => {
+            const last = records[records.length - 1];
+            const inputs = frame.players.map(input => ({
+                ...input,
+                bits: ReplaySystem.packActions(input.actions)
+            }));
+
+            if (last && last.count < 0xffff && ReplaySystem.sameInputs(last.inputs, inputs)) {
+                last.count++;
+            } else {
+                records.push({ count: 1, inputs });
+            }
+        });
+
+        const { HEADER_SIZE, INPUT_SIZE } = ReplaySystem;
+        const size = records.reduce((total, record) => total + HEADER_SIZE + record.inputs.length * INPUT_SIZE, 0);
+        const view = new DataView(new ArrayBuffer(size));
+        let o = 0;
+
+        records.forEach(record => {
+            view.setUint16(o, record.count, true);
+            view.setUint8(o + 2, record.inputs.length);
+            o += HEADER_SIZE;
+
+            record.inputs.forEach(input => {
+                view.setInt8(o, Math.round(input.moveX * 127));
+                view.setInt8(o + 1, Math.round(input.moveY * 127));
+                view.setInt16(o + 2, input.aimX, true);
+                view.setInt16(o + 4, input.aimY, true);
+                view.setUint16(o + 6, input.bits, true);
+                o += INPUT_SIZE;
+            });
+        });
+
+        let binary = '';
+        const bytes = new Uint8Array(view.buffer);
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    static decodeFrames(encoded, version = ReplaySystem.VERSION) {
+        const binary = atob(encoded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+        const INPUT_SIZE = ReplaySystem.INPUT_SIZE;
+        const headerSize = version >= 2 ? ReplaySystem.HEADER_SIZE : 2;
+        const view = new DataView(bytes.buffer);
+        const frames = [];
+        let o = 0;
+
+        while (o + headerSize <= bytes.length) {
+            const count = view.getUint16(o, true);
+            const players = version >= 2 ? view.getUint8(o + 2) : 1;
+            o += headerSize;
+            if (o + players * INPUT_SIZE > bytes.length) break;
+
+            const inputs = [];
+            for (let p = 0; p < players; p++) {
+                inputs.push({
+                    moveX: view.getInt8(o) / 127,
+                    moveY: view.getInt8(o + 1) / 127,
+                    aimX: view.getInt16(o + 2, true),
+                    aimY: view.getInt16(o + 4, true),
+                    bits: view.getUint16(o + 6, true)
+                });
+                o += INPUT_SIZE;
+            }
+
+            for (let i = 0; i < count; i++) {
+                frames.push({
+                    players: inputs.map(({ moveX, moveY, aimX, aimY, bits }) => ({
+                        moveX, moveY, aimX, aimY,
+                        actions: ReplaySystem.unpackActions(bits)
+                    }))
+                });
+            }
+        }
+
+        return frames;
+    }
+
+    // Quick-slot changes are rare, so they are kept out of the binary frames
+    // as [tick, player slot, quick slot, item] entries
+    static collectAssignments(frames) {
+        const assignments = [];
+        frames.forEach((frame, tick) => {
+            frame.players.forEach((input, slot) => {
+                if (!input.assign) return;
+                input.assign.forEach(([quickSlot, item]) => assignments.push([tick, slot, quickSlot, item]));
+            });
+        });
+        return assignments;
+    }
+
+    static restoreAssignments(frames, assignments) {
+        assignments.forEach(([tick, slot, quickSlot, item]) => {
+            const input = frames[tick]?.players[slot];
+            if (!input) return;
+            input.assign = input.assign || [];
+            input.assign.push([quickSlot, item]);
+        });
+    }
+
+    static sameInputs(a, b) {
+        return a.length === b.length && a.every((input, i) =>
+            input.bits === b[i].bits &&
+            input.moveX === b[i].moveX && input.moveY === b[i].moveY &&
+            input.aimX === b[i].aimX && input.aimY === b[i].aimY
+        );
+    }
+
+    static packActions(actions) {
+        return actions.reduce((bits, action) => {
+            const index = ReplaySystem.ACTIONS.indexOf(action);
+            return index === -1 ? bits : bits | (1 << index);
+        }, 0);
+    }
+
+    static unpackActions(bits) {
+        return ReplaySystem.ACTIONS.filter((action, index) => bits & (1 << index));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplaySystem;
+}
@@ -0,0 +1,183 @@
+/**
+ * Abyss Walker - Scoring System
+ * Hit combos on simulation time, and kill points scaled by combo, no-damage streak and kill speed
+ */
+
+class ScoringSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Seconds without landing a hit before a combo drops
+        this.comboWindow = options.comboWindow || 2;
+
+        // Seconds after a kill in which the next one extends the kill chain
+        this.chainWindow = options.chainWindow || 1.5;
+    }
+
+    /* ============================================
+       TUNING
+       ============================================ */
+
+    // Kill points are the enemy's `score` times one multiplier per bonus:
+    // 1 + min(max, steps * step)
+    static BONUSES = {
+        // Per hit in the current combo
+        combo: { step: 0.05, max: 2 },
+
+        // Per `every` seconds since the player last took damage
+        streak: { step: 0.1, every: 10, max: 1 },
+
+        // Per kill chained within the chain window of the last one
+        speed: { step: 0.25, max: 1 }
+    };
+
+    /* ============================================
+       COMBOS
+       ============================================ */
+
+    // Every hit a player lands, from any weapon, builds their combo
+    onHit(player) {
+        player.combo++;
+        player.comboTimer = this.comboWindow;
+        player.bestCombo = Math.max(player.bestCombo, player.combo);
+
+        const stats = this.game.runStats;
+        stats.bestCombo = Math.max(stats.bestCombo, player.combo);
+
+        this.emitCombo(player);
+    }
+
+    // Taking damage breaks the combo and restarts the no-damage streak
+    onHurt(player) {
+        player.streak = 0;
+        if (player.combo > 0) this.breakCombo(player);
+    }
+
+    breakCombo(player) {
+        player.combo = 0;
+        player.comboTimer = 0;
+        this.emitCombo(player);
+    }
+
+    /* ============================================
+       SCORE
+       ============================================ */
+
+    // The bonuses a kill by this player would get right now
+    getMultipliers(player) {
+        const { combo, streak, speed } = ScoringSystem.BONUSES;
+        const bonus = (bonus, steps) => 1 + Math.min(bonus.max, steps * bonus.step);
+
+        const multipliers = {
+            combo: bonus(combo, player.combo),
+            streak: bonus(streak, Math.floor(player.streak / streak.every)),
+            speed: bonus(speed, player.killChain)
+        };
+        multipliers.total = multipliers.combo * multipliers.streak * multipliers.speed;
+        return multipliers;
+    }
+
+    // Scores a kill and returns the points given
+    onKill(player, enemy) {
+        player.killChain = player.killTimer > 0 ? player.killChain + 1 : 0;
+        player.killTimer = this.chainWindow;
+
+        const base = (enemy.definition && enemy.definition.score) || 0;
+        const multiplier = this.getMultipliers(player).total;
+        return this.award(player, Math.round(base * multiplier), multiplier);
+    }
+
+    // Adds points as they are (souls, chests) or already multiplied
+    award(player, points, multiplier = 1) {
+        if (points <= 0) return 0;
+
+        player.score += points;
+        this.game.events.emit(EventBus.EVENTS.SCORE_CHANGED, {
+            slot: player.slot,
+            score: player.score,
+            points,
+            multiplier,
+            total: this.getTotal()
+        });
+        return points;
+    }
+
+    // The run's score: everything the party earned, including players who left
+    getTotal() {
+        return this.game.players.reduce((total, p) => total + p.score, 0);
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        this.game.getActivePlayers().forEach(p => {
+            if (p.health > 0 && !p.downed) p.streak += dt;
+            p.killTimer = Math.max(0, p.killTimer - dt);
+
+            if (p.comboTimer > 0) {
+                p.comboTimer -= dt;
+                if (p.comboTimer <= 0) this.breakCombo(p);
+            }
+        });
+    }
+
+    /* ============================================
+       EVENTS
+       ============================================ */
+
+    emitCombo(player) {
+        this.game.events.emit(EventBus.EVENTS.COMBO_CHANGED, {
+            slot: player.slot,
+            combo: player.combo,
+            best: player.bestCombo,
+            multiplier: this.getMultipliers(player).total
+        });
+    }
+
+    // Brings a HUD up to date at the start of a run
+    emitAll() {
+        this.game.players.forEach(p => {
+            this.emitCombo(p);
+            this.game.events.emit(EventBus.EVENTS.SCORE_CHANGED, {
+                slot: p.slot,
+                score: p.score,
+                points: 0,
+                multiplier: 1,
+                total: this.getTotal()
+            });
+        });
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    // The run's score under the XP bar, then each running combo with the
+    // multiplier the next kill would get
+    render(ctx, y) {
+        ctx.save();
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 14px sans-serif';
+        ctx.fillText(`Score ${this.getTotal().toLocaleString()}`, 20, y + 12);
+
+        const coop = this.game.getActivePlayers().length > 1;
+        this.game.getActivePlayers().forEach(p => {
+            if (p.combo < 2) return;
+            y += 18;
+            const multiplier = this.getMultipliers(p).total;
+            ctx.globalAlpha = 0.5 + 0.5 * Math.min(1, p.comboTimer / this.comboWindow);
+            ctx.fillStyle = coop ? p.color : '#fbbf24';
+            ctx.font = 'bold 13px sans-serif';
+            ctx.fillText(`${coop ? `P${p.slot + 1} ` : ''}x${p.combo} Combo • ×${multiplier.toFixed(1)}`, 20, y + 12);
+        });
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoringSystem;
+}
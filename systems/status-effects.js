@@ -0,0 +1,271 @@
+/**
+ * Abyss Walker - Status Effect System
+ * Timed effects on players and enemies: tick damage, stat modifiers, stacking, immunity and indicators
+ */
+
+class StatusEffectSystem {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Seconds between indicator particles for effects that have a type
+        this.particleInterval = options.particleInterval || 0.3;
+    }
+
+    /* ============================================
+       DEFINITIONS
+       ============================================ */
+
+    // Effects by id. `duration` in seconds; `damage` is dealt every
+    // `interval` seconds per stack and `modifiers` multiply stats (per stack)
+    // while it lasts, read with getModifier(). Stacking when applied again:
+    //   'refresh' - restarts the duration
+    //   'stack'   - adds a stack up to `maxStacks` and restarts the duration
+    //   'ignore'  - nothing until it has worn off
+    // `immunity` is how long the entity can't get it again once it ends.
+    // Optional hooks: start(entity, status, system), end(entity, status, system).
+    static EFFECTS = {
+        poison: {
+            name: 'Poison',
+            color: '#84cc16',
+            duration: 6,
+            interval: 1,
+            damage: 2,
+            stacking: 'stack',
+            maxStacks: 5
+        },
+        burn: {
+            name: 'Burn',
+            color: '#f97316',
+            particle: ParticleSystem.TYPES.EMBER,
+            duration: 3,
+            interval: 0.5,
+            damage: 4,
+            stacking: 'refresh'
+        },
+        slow: {
+            name: 'Slow',
+            color: '#38bdf8',
+            duration: 2.5,
+            stacking: 'refresh',
+            modifiers: { speed: 0.55 }
+        },
+        stun: {
+            name: 'Stun',
+            color: '#fbbf24',
+            duration: 0.8,
+            stacking: 'ignore',
+            immunity: 2,
+            start(entity, status) {
+                entity.stunned = Math.max(entity.stunned || 0, status.time);
+            },
+            // Cured early, it lifts only its own stun: a longer one from
+            // elsewhere (a parry) keeps running
+            end(entity, status) {
+                if (status.time > 0 && entity.stunned <= status.time) entity.stunned = 0;
+            }
+        },
+        bleed: {
+            name: 'Bleed',
+            color: '#dc2626',
+            particle: ParticleSystem.TYPES.BLOOD,
+            duration: 4,
+            interval: 0.5,
+            damage: 1,
+            stacking: 'stack',
+            maxStacks: 8
+        }
+    };
+
+    // Adds or replaces an effect
+    static define(id, definition) {
+        StatusEffectSystem.EFFECTS[id] = definition;
+        return definition;
+    }
+
+    /* ============================================
+       APPLYING
+       ============================================ */
+
+    // Puts an effect on a player or enemy; `source` is credited with kills
+    // from its damage. Returns false when the entity is immune or already has
+    // an effect that ignores reapplying.
+    apply(entity, id, source = null, duration = null) {
+        const def = StatusEffectSystem.EFFECTS[id];
+        if (!def) {
+            console.warn(`[Status] Unknown status effect "${id}"`);
+            return false;
+        }
+        if (!entity.statuses || entity.dead || entity.health <= 0 || this.isImmune(entity, id)) return false;
+
+        const time = duration || def.duration;
+        let status = entity.statuses[id];
+        if (status) {
+            if (def.stacking === 'ignore') return false;
+            if (def.stacking === 'stack') status.stacks = Math.min(def.maxStacks || Infinity, status.stacks + 1);
+            status.time = Math.max(status.time, time);
+            status.duration = status.time;
+            if (source) status.source = source;
+        } else {
+            status = { id, stacks: 1, time, duration: time, tickTimer: def.interval || 0, particleTimer: 0, source };
+            entity.statuses[id] = status;
+            if (def.start) def.start(entity, status, this);
+        }
+
+        this.game.events.emit(EventBus.EVENTS.STATUS_APPLIED, {
+            ...this.describeTarget(entity),
+            id,
+            stacks: status.stacks,
+            duration: status.time
+        });
+        return true;
+    }
+
+    // Ends an effect early (a cure); returns false when it wasn't there
+    remove(entity, id) {
+        const status = entity.statuses && entity.statuses[id];
+        if (!status) return false;
+
+        const def = StatusEffectSystem.EFFECTS[id];
+        delete entity.statuses[id];
+        if (def.immunity) entity.statusImmunity[id] = def.immunity;
+        if (def.end) def.end(entity, status, this);
+
+        this.game.events.emit(EventBus.EVENTS.STATUS_ENDED, { ...this.describeTarget(entity), id });
+        return true;
+    }
+
+    // Ends every effect; returns how many there were
+    cleanse(entity) {
+        return Object.keys(entity.statuses || {}).filter(id => this.remove(entity, id)).length;
+    }
+
+    has(entity, id) {
+        return Boolean(entity.statuses && entity.statuses[id]);
+    }
+
+    // Always immune (`immune` ids, from the definition for enemies and
+    // bosses) or for a while after the effect ended
+    isImmune(entity, id) {
+        return (entity.immune && entity.immune.includes(id)) ||
+               (entity.statusImmunity && entity.statusImmunity[id] > 0);
+    }
+
+    // Product of every active modifier for a stat; 1 when nothing changes it
+    getModifier(entity, stat) {
+        let value = 1;
+        if (!entity.statuses) return value;
+
+        for (const id in entity.statuses) {
+            const modifiers = StatusEffectSystem.EFFECTS[id].modifiers;
+            if (modifiers && modifiers[stat] !== undefined) {
+                value *= Math.pow(modifiers[stat], entity.statuses[id].stacks);
+            }
+        }
+        return value;
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        this.game.getActivePlayers().forEach(p => this.updateEntity(p, dt));
+        this.game.entities.forEach(entity => {
+            if (entity.statuses && !entity.dead) this.updateEntity(entity, dt);
+        });
+    }
+
+    updateEntity(entity, dt) {
+        for (const id in entity.statusImmunity) {
+            entity.statusImmunity[id] -= dt;
+            if (entity.statusImmunity[id] <= 0) delete entity.statusImmunity[id];
+        }
+
+        for (const id in entity.statuses) {
+            const status = entity.statuses[id];
+            const def = StatusEffectSystem.EFFECTS[id];
+            status.time -= dt;
+
+            if (def.interval) {
+                status.tickTimer -= dt;
+                while (status.tickTimer <= 0 && !entity.dead) {
+                    status.tickTimer += def.interval;
+                    this.game.combat.tickDamage(entity, def.damage * status.stacks, status.source);
+                }
+            }
+
+            if (def.particle) {
+                status.particleTimer -= dt;
+                if (status.particleTimer <= 0) {
+                    status.particleTimer = this.particleInterval;
+                    this.game.events.emit(EventBus.EVENTS.FX_BURST, {
+                        x: entity.x,
+                        y: entity.y,
+                        type: def.particle,
+                        intensity: 0.2 + 0.05 * status.stacks
+                    });
+                }
+            }
+
+            if (status.time <= 0 || entity.dead) this.remove(entity, id);
+        }
+    }
+
+    /* ============================================
+       EVENTS
+       ============================================ */
+
+    // Players by slot, enemies by type and position
+    describeTarget(entity) {
+        const slot = entity.type === 'player' ? entity.slot : null;
+        return { slot, type: entity.type, x: entity.x, y: entity.y };
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    // A pip per effect above each affected player and enemy, draining as it
+    // runs out, with the stack count when there is more than one
+    render(ctx) {
+        const affected = [
+            ...this.game.getActivePlayers(),
+            ...this.game.entities.filter(entity => entity.statuses && !entity.dead)
+        ];
+
+        ctx.save();
+        ctx.font = 'bold 9px sans-serif';
+        ctx.textAlign = 'center';
+        affected.forEach(entity => {
+            const ids = Object.keys(entity.statuses);
+            if (ids.length === 0) return;
+
+            const size = 8;
+            const gap = 3;
+            const top = entity.y - (entity.z || 0) - (entity.radius || entity.height / 2) - 22;
+            let x = entity.x - (ids.length * (size + gap) - gap) / 2;
+
+            ids.forEach(id => {
+                const status = entity.statuses[id];
+                const def = StatusEffectSystem.EFFECTS[id];
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(x - 1, top - 1, size + 2, size + 2);
+                ctx.fillStyle = def.color;
+                const left = Math.max(0, Math.min(1, status.time / status.duration));
+                ctx.fillRect(x, top + size * (1 - left), size, size * left);
+
+                if (status.stacks > 1) {
+                    ctx.fillStyle = '#fff';
+                    ctx.fillText(status.stacks, x + size / 2, top - 3);
+                }
+                x += size + gap;
+            });
+        });
+        ctx.restore();
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatusEffectSystem;
+}
@@ -0,0 +1,391 @@
+/**
+ * Abyss Walker - Tilemap
+ * Loads Tiled-compatible JSON maps: tile layers, collision, spawn points and triggers
+ */
+
+class Tilemap {
+    constructor(data, options = {}) {
+        if (data.infinite) {
+            throw new Error('Infinite maps are not supported, disable "Infinite" in Tiled');
+        }
+        if (data.orientation && data.orientation !== 'orthogonal') {
+            throw new Error(`Unsupported map orientation "${data.orientation}"`);
+        }
+
+        this.url = options.url || null;
+        this.name = options.name || Tilemap.getProperties(data).name || this.url || 'untitled';
+
+        // Size in tiles and in pixels
+        this.width = data.width;
+        this.height = data.height;
+        this.tileWidth = data.tilewidth;
+        this.tileHeight = data.tileheight;
+        this.pixelWidth = this.width * this.tileWidth;
+        this.pixelHeight = this.height * this.tileHeight;
+        this.properties = Tilemap.getProperties(data);
+
+        // Highest firstgid first so lookups find the owning tileset
+        this.tilesets = (data.tilesets || [])
+            .map(tileset => this.parseTileset(tileset))
+            .sort((a, b) => b.firstgid - a.firstgid);
+        this.tileCache = new Map();
+
+        this.tileLayers = [];
+        this.playerSpawn = null;
+        this.enemySpawns = [];
+        this.triggers = [];
+        this.chests = [];
+        this.parseLayers(data.layers || []);
+
+        // One byte per tile: 1 = blocks movement
+        this.solid = new Uint8Array(this.width * this.height);
+        this.buildSolidGrid();
+
+        // Static wall bodies for the collision system, built on demand
+        this.bodies = null;
+    }
+
+    /* ============================================
+       CONSTANTS
+       ============================================ */
+
+    // Tiled stores flip/rotation flags in the top bits of each gid
+    static GID_MASK = 0x1fffffff;
+
+    // Object "type" (or "class" in Tiled 1.9) values the game understands
+    static OBJECT_TYPES = {
+        PLAYER_SPAWN: 'player',
+        ENEMY_SPAWN: 'spawn',
+        TRIGGER: 'trigger',
+        CHEST: 'chest'
+    };
+
+    // Tile layers with this name (or a "collision" bool property) block movement
+    static COLLISION_LAYER = 'collision';
+
+    /* ============================================
+       LOADING
+       ============================================ */
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load map ${url} (${response.status})`);
+        }
+
+        const data = await response.json();
+        return new Tilemap(data, { url });
+    }
+
+    // Tiled writes custom properties as [{ name, type, value }]
+    static getProperties(source) {
+        const properties = {};
+        (source.properties || []).forEach(prop => {
+            properties[prop.name] = prop.value;
+        });
+        return properties;
+    }
+
+    static decodeLayerData(layer) {
+        if (Array.isArray(layer.data)) return layer.data;
+
+        if (layer.encoding === 'base64' && !layer.compression) {
+            const binary = atob(layer.data);
+            const data = new Array(binary.length / 4);
+            for (let i = 0; i < data.length; i++) {
+                const b = i * 4;
+                data[i] = (binary.charCodeAt(b) |
+                    binary.charCodeAt(b + 1) << 8 |
+                    binary.charCodeAt(b + 2) << 16 |
+                    binary.charCodeAt(b + 3) << 24) >>> 0;
+            }
+            return data;
+        }
+
+        throw new Error(
+            `Unsupported data in layer "${layer.name}" (compression: ${layer.compression}), ` +
+            'export with CSV or uncompressed Base64 layer format'
+        );
+    }
+
+    // Tiled colors are "#AARRGGBB" or "#RRGGBB"
+    static parseColor(value) {
+        if (typeof value !== 'string' || value[0] !== '#' || value.length !== 9) return value;
+
+        const a = parseInt(value.slice(1, 3), 16) / 255;
+        const r = parseInt(value.slice(3, 5), 16);
+        const g = parseInt(value.slice(5, 7), 16);
+        const b = parseInt(value.slice(7, 9), 16);
+        return `rgba(${r}, ${g}, ${b}, ${a.toFixed(3)})`;
+    }
+
+    parseTileset(tileset) {
+        if (tileset.source) {
+            console.warn(`[Tilemap] External tileset "${tileset.source}" is not supported, embed it in the map`);
+        }
+
+        const parsed = {
+            firstgid: tileset.firstgid,
+            name: tileset.name || '',
+            columns: tileset.columns || 0,
+            tileWidth: tileset.tilewidth || this.tileWidth,
+            tileHeight: tileset.tileheight || this.tileHeight,
+            margin: tileset.margin || 0,
+            spacing: tileset.spacing || 0,
+            image: null,
+            tiles: new Map()
+        };
+
+        (tileset.tiles || []).forEach(tile => {
+            parsed.tiles.set(tile.id, Tilemap.getProperties(tile));
+        });
+
+        // Image paths are relative to the map file
+        if (tileset.image && typeof Image !== 'undefined') {
+            const image = new Image();
+            image.src = this.url ? new URL(tileset.image, new URL(this.url, location.href)).href : tileset.image;
+            parsed.image = image;
+        }
+
+        return parsed;
+    }
+
+    parseLayers(layers) {
+        layers.forEach(layer => {
+            switch (layer.type) {
+                case 'group':
+                    this.parseLayers(layer.layers || []);
+                    break;
+
+                case 'tilelayer': {
+                    const properties = Tilemap.getProperties(layer);
+                    this.tileLayers.push({
+                        name: layer.name,
+                        data: Tilemap.decodeLayerData(layer),
+                        visible: layer.visible !== false,
+                        opacity: layer.opacity ?? 1,
+                        collision: layer.name.toLowerCase() === Tilemap.COLLISION_LAYER ||
+                            properties.collision === true,
+                        properties
+                    });
+                    break;
+                }
+
+                case 'objectgroup':
+                    (layer.objects || []).forEach(object => this.parseObject(object));
+                    break;
+            }
+        });
+    }
+
+    parseObject(object) {
+        const type = object.type || object.class || '';
+        const properties = Tilemap.getProperties(object);
+        const width = object.width || 0;
+        const height = object.height || 0;
+
+        // Points are positions; rectangles spawn at their centre
+        const x = object.x + width / 2;
+        const y = object.y + height / 2;
+
+        switch (type) {
+            case Tilemap.OBJECT_TYPES.PLAYER_SPAWN:
+                this.playerSpawn = { x, y };
+                break;
+
+            case Tilemap.OBJECT_TYPES.ENEMY_SPAWN:
+                this.enemySpawns.push({ x, y, name: object.name, enemy: properties.enemy || null, properties });
+                break;
+
+            case Tilemap.OBJECT_TYPES.CHEST:
+                this.chests.push({ x, y, name: object.name, properties });
+                break;
+
+            case Tilemap.OBJECT_TYPES.TRIGGER:
+                this.triggers.push({
+                    id: object.id,
+                    name: object.name,
+                    action: properties.action || null,
+                    left: object.x,
+                    top: object.y,
+                    right: object.x + width,
+                    bottom: object.y + height,
+                    properties
+                });
+                break;
+        }
+    }
+
+    buildSolidGrid() {
+        this.tileLayers.forEach(layer => {
+            layer.data.forEach((gid, index) => {
+                if (!gid) return;
+                if (layer.collision || this.getTile(gid)?.solid) {
+                    this.solid[index] = 1;
+                }
+            });
+        });
+    }
+
+    /* ============================================
+       TILES
+       ============================================ */
+
+    getTile(gid) {
+        const id = gid & Tilemap.GID_MASK;
+        if (this.tileCache.has(id)) return this.tileCache.get(id);
+
+        const tileset = this.tilesets.find(ts => ts.firstgid <= id);
+        let tile = null;
+
+        if (tileset) {
+            const local = id - tileset.firstgid;
+            const properties = tileset.tiles.get(local) || {};
+            const columns = Math.max(1, tileset.columns);
+
+            tile = {
+                tileset,
+                color: Tilemap.parseColor(properties.color) || '#1f1f2e',
+                solid: properties.solid === true,
+                sx: tileset.margin + (local % columns) * (tileset.tileWidth + tileset.spacing),
+                sy: tileset.margin + Math.floor(local / columns) * (tileset.tileHeight + tileset.spacing),
+                properties
+            };
+        }
+
+        this.tileCache.set(id, tile);
+        return tile;
+    }
+
+    /* ============================================
+       QUERIES
+       ============================================ */
+
+    worldToTile(x, y) {
+        return {
+            col: Math.floor(x / this.tileWidth),
+            row: Math.floor(y / this.tileHeight)
+        };
+    }
+
+    // Outside the map counts as solid
+    isSolidTile(col, row) {
+        if (col < 0 || row < 0 || col >= this.width || row >= this.height) return true;
+        return this.solid[row * this.width + col] === 1;
+    }
+
+    isSolidAt(x, y) {
+        const { col, row } = this.worldToTile(x, y);
+        return this.isSolidTile(col, row);
+    }
+
+    getTriggersAt(x, y) {
+        return this.triggers.filter(t =>
+            x >= t.left && x <= t.right && y >= t.top && y <= t.bottom
+        );
+    }
+
+    /* ============================================
+       COLLISION
+       ============================================ */
+
+    // Merges solid tiles into as few static boxes as possible
+    getColliders() {
+        if (this.bodies) return this.bodies;
+
+        const LAYERS = CollisionSystem.LAYERS;
+        const used = new Uint8Array(this.solid.length);
+        const free = (col, row) => this.isSolidTile(col, row) && !used[row * this.width + col];
+        this.bodies = [];
+
+        for (let row = 0; row < this.height; row++) {
+            for (let col = 0; col < this.width; col++) {
+                if (!free(col, row)) continue;
+
+                let spanW = 1;
+                while (col + spanW < this.width && free(col + spanW, row)) spanW++;
+
+                let spanH = 1;
+                while (row + spanH < this.height) {
+                    let full = true;
+                    for (let c = col; c < col + spanW; c++) {
+                        if (!free(c, row + spanH)) { full = false; break; }
+                    }
+                    if (!full) break;
+                    spanH++;
+                }
+
+                for (let r = row; r < row + spanH; r++) {
+                    used.fill(1, r * this.width + col, r * this.width + col + spanW);
+                }
+
+                const w = spanW * this.tileWidth;
+                const h = spanH * this.tileHeight;
+                this.bodies.push({
+                    type: 'wall',
+                    x: col * this.tileWidth + w / 2,
+                    y: row * this.tileHeight + h / 2,
+                    collider: CollisionSystem.box(w, h, {
+                        layer: LAYERS.WALL,
+                        mask: LAYERS.PLAYER | LAYERS.ENEMY | LAYERS.PLAYER_PROJECTILE | LAYERS.ENEMY_PROJECTILE,
+                        isStatic: true
+                    })
+                });
+            }
+        }
+
+        return this.bodies;
+    }
+
+    /* ============================================
+       RENDER
+       ============================================ */
+
+    // view: { left, top, right, bottom } in world pixels; only visible tiles are drawn
+    render(ctx, view) {
+        const startCol = Math.max(0, Math.floor(view.left / this.tileWidth));
+        const startRow = Math.max(0, Math.floor(view.top / this.tileHeight));
+        const endCol = Math.min(this.width - 1, Math.floor(view.right / this.tileWidth));
+        const endRow = Math.min(this.height - 1, Math.floor(view.bottom / this.tileHeight));
+
+        ctx.save();
+
+        this.tileLayers.forEach(layer => {
+            if (!layer.visible) return;
+            ctx.globalAlpha = layer.opacity;
+
+            for (let row = startRow; row <= endRow; row++) {
+                for (let col = startCol; col <= endCol; col++) {
+                    const gid = layer.data[row * this.width + col];
+                    if (gid) this.drawTile(ctx, gid, col * this.tileWidth, row * this.tileHeight);
+                }
+            }
+        });
+
+        ctx.restore();
+    }
+
+    drawTile(ctx, gid, x, y) {
+        const tile = this.getTile(gid);
+        if (!tile) return;
+
+        const image = tile.tileset.image;
+        if (image && image.complete && image.naturalWidth > 0) {
+            ctx.drawImage(
+                image,
+                tile.sx, tile.sy, tile.tileset.tileWidth, tile.tileset.tileHeight,
+                x, y, this.tileWidth, this.tileHeight
+            );
+            return;
+        }
+
+        // Tilesets without an image (or still loading) draw their "color" property
+        ctx.fillStyle = tile.color;
+        ctx.fillRect(x, y, this.tileWidth, this.tileHeight);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tilemap;
+}
@@ -0,0 +1,193 @@
+/**
+ * Abyss Walker - Wave Director
+ * Schedules enemy spawns by wave number with escalating difficulty and breathers
+ */
+
+class WaveDirector {
+    constructor(game, options = {}) {
+        this.game = game;
+
+        // Enemy count per wave: baseCount + countGrowth * (wave - 1)
+        this.baseCount = options.baseCount || 5;
+        this.countGrowth = options.countGrowth || 3;
+
+        // Enemy speed multiplier ramps up each wave
+        this.speedGrowth = options.speedGrowth || 0.08;
+        this.maxSpeedMultiplier = options.maxSpeedMultiplier || 2;
+
+        // Time between individual spawns inside a wave (seconds)
+        this.baseSpawnInterval = options.baseSpawnInterval || 1.2;
+        this.minSpawnInterval = options.minSpawnInterval || 0.25;
+        this.spawnIntervalDecay = options.spawnIntervalDecay || 0.9;
+
+        // Pause before the first wave and between waves (seconds)
+        this.initialDelay = options.initialDelay ?? 2;
+        this.breatherDuration = options.breatherDuration || 5;
+
+        // Cap on simultaneously alive enemies from the director
+        this.maxAlive = options.maxAlive || 40;
+
+        // Scales count and speed; set per floor by the game
+        this.difficulty = options.difficulty || 1;
+
+        this.reset();
+    }
+
+    /* ============================================
+       STATES
+       ============================================ */
+
+    static STATES = {
+        IDLE: 'idle',
+        BREATHER: 'breather',
+        ACTIVE: 'active'
+    };
+
+    /* ============================================
+       CONTROL
+       ============================================ */
+
+    reset() {
+        this.wave = 0;
+        this.state = WaveDirector.STATES.IDLE;
+        this.timer = 0;
+        this.spawnTimer = 0;
+        this.remainingToSpawn = 0;
+        this.waveElapsed = 0;
+        this.alive = [];
+    }
+
+    start() {
+        this.reset();
+        this.state = WaveDirector.STATES.BREATHER;
+        this.timer = this.initialDelay;
+    }
+
+    stop() {
+        this.state = WaveDirector.STATES.IDLE;
+    }
+
+    getWaveConfig(wave) {
+        const count = Math.round((this.baseCount + this.countGrowth * (wave - 1)) * this.difficulty);
+        const speedMultiplier = Math.min(
+            this.maxSpeedMultiplier,
+            (1 + this.speedGrowth * (wave - 1)) * Math.sqrt(this.difficulty)
+        );
+        const spawnInterval = Math.max(
+            this.minSpawnInterval,
+            this.baseSpawnInterval * Math.pow(this.spawnIntervalDecay, wave - 1)
+        );
+
+        return { wave, count, speedMultiplier, spawnInterval };
+    }
+
+    /* ============================================
+       UPDATE
+       ============================================ */
+
+    update(dt) {
+        switch (this.state) {
+            case WaveDirector.STATES.BREATHER:
+                this.timer -= dt;
+                if (this.timer <= 0) {
+                    this.startWave(this.wave + 1);
+                }
+                break;
+
+            case WaveDirector.STATES.ACTIVE:
+                this.waveElapsed += dt;
+                this.alive = this.alive.filter(enemy => !enemy.dead);
+                this.updateSpawning(dt);
+
+                if (this.remainingToSpawn === 0 && this.alive.length === 0) {
+                    this.clearWave();
+                }
+                break;
+        }
+    }
+
+    updateSpawning(dt) {
+        if (this.remainingToSpawn <= 0) return;
+
+        // The timer stops at zero while the field is full, so freed slots
+        // refill one spawn interval apart instead of all at once
+        if (this.alive.length >= this.maxAlive) {
+            this.spawnTimer = Math.max(0, this.spawnTimer - dt);
+            return;
+        }
+
+        this.spawnTimer -= dt;
+
+        while (
+            this.spawnTimer <= 0 &&
+            this.remainingToSpawn > 0 &&
+            this.alive.length < this.maxAlive
+        ) {
+            const enemy = this.game.spawnEnemy(this.game.enemySystem.pickType(this.wave), {
+                speedMultiplier: this.config.speedMultiplier,
+                wave: this.wave
+            });
+
+            if (enemy) this.alive.push(enemy);
+            this.remainingToSpawn--;
+            this.spawnTimer += this.config.spawnInterval;
+        }
+    }
+
+    startWave(wave) {
+        this.wave = wave;
+        this.config = this.getWaveConfig(wave);
+        this.state = WaveDirector.STATES.ACTIVE;
+        this.remainingToSpawn = this.config.count;
+        this.spawnTimer = 0;
+        this.waveElapsed = 0;
+
+        console.log(`[WaveDirector] Wave ${wave} started (${this.config.count} enemies)`);
+        this.game.events.emit(EventBus.EVENTS.WAVE_START, {
+            wave,
+            count: this.config.count,
+            speedMultiplier: this.config.speedMultiplier
+        });
+    }
+
+    // Counts an enemy spawned by something else (e.g. a splitter's children)
+    // toward the current wave
+    adopt(enemy) {
+        if (this.state === WaveDirector.STATES.ACTIVE) this.alive.push(enemy);
+    }
+
+    clearWave() {
+        this.state = WaveDirector.STATES.BREATHER;
+        this.timer = this.breatherDuration;
+
+        console.log(`[WaveDirector] Wave ${this.wave} cleared`);
+        this.game.events.emit(EventBus.EVENTS.WAVE_CLEAR, {
+            wave: this.wave,
+            duration: this.waveElapsed,
+            nextWaveIn: this.breatherDuration
+        });
+    }
+
+    /* ============================================
+       UTILITY
+       ============================================ */
+
+    get isBreather() {
+        return this.state === WaveDirector.STATES.BREATHER;
+    }
+
+    getStatus() {
+        return {
+            wave: this.wave,
+            state: this.state,
+            alive: this.alive.length,
+            remaining: this.remainingToSpawn + this.alive.length,
+            nextWaveIn: this.isBreather ? Math.max(0, this.timer) : 0
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaveDirector;
+}
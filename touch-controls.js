@@ -31,7 +31,7 @@ class TouchControls {
     
     this.setupJoystick();
     this.setupActionButtons();
-    this.showTouchControls();
+    this.followInputDevice();
     
     console.log('[TouchControls] Initialized');
   }
@@ -119,6 +119,19 @@ class TouchControls {
     // Apply deadzone
     if (Math.abs(this.joystick.x) < this.deadzone) this.joystick.x = 0;
     if (Math.abs(this.joystick.y) < this.deadzone) this.joystick.y = 0;
+    
+    this.emitJoystick();
+  }
+  
+  emitJoystick() {
+    window.eventBus.emit(EventBus.EVENTS.INPUT_JOYSTICK, {
+      x: this.joystick.x,
+      y: this.joystick.y
+    });
+  }
+  
+  emitAction(action) {
+    window.eventBus.emit(EventBus.EVENTS.INPUT_ACTION, { action });
   }
   
   resetJoystick() {
@@ -131,6 +144,8 @@ class TouchControls {
     if (stickEl) {
       stickEl.style.transform = 'translate(0, 0)';
     }
+    
+    this.emitJoystick();
   }
   
   setupActionButtons() {
@@ -143,7 +158,7 @@ class TouchControls {
         e.preventDefault();
         attackBtn.style.transform = 'scale(0.95)';
         attackBtn.style.background = 'rgba(240, 147, 251, 0.5)';
-        if (window.gameAction) window.gameAction('attack');
+        this.emitAction('attack');
       }, { passive: false });
       
       attackBtn.addEventListener('touchend', (e) => {
@@ -159,7 +174,7 @@ class TouchControls {
         e.preventDefault();
         actionBtn.style.transform = 'scale(0.95)';
         actionBtn.style.background = 'rgba(118, 75, 162, 0.5)';
-        if (window.gameAction) window.gameAction('action');
+        this.emitAction('action');
       }, { passive: false });
       
       actionBtn.addEventListener('touchend', (e) => {
@@ -172,13 +187,13 @@ class TouchControls {
     // Also support click for testing on desktop
     if (attackBtn) {
       attackBtn.addEventListener('mousedown', () => {
-        if (window.gameAction) window.gameAction('attack');
+        this.emitAction('attack');
       });
     }
     
     if (actionBtn) {
       actionBtn.addEventListener('mousedown', () => {
-        if (window.gameAction) window.gameAction('action');
+        this.emitAction('action');
       });
     }
   }
@@ -207,26 +222,19 @@ class TouchControls {
     };
   }
   
-  // Check if touch controls should be visible
-  // (e.g., hide when using keyboard on hybrid devices)
-  checkInputMethod() {
-    let lastInputWasTouch = false;
-    
-    const touchHandler = () => {
-      lastInputWasTouch = true;
-      this.showTouchControls();
-    };
-    
-    const keyHandler = () => {
-      if (lastInputWasTouch) {
-        // User switched to keyboard
+  // Show the controls only while touch is the device in use, so they get
+  // out of the way on hybrid devices when a keyboard, mouse or gamepad takes over
+  followInputDevice() {
+    const update = (device) => {
+      if (device === InputMap.DEVICES.TOUCH) {
+        this.showTouchControls();
+      } else {
         this.hideTouchControls();
       }
-      lastInputWasTouch = false;
     };
     
-    document.addEventListener('touchstart', touchHandler, { passive: true });
-    document.addEventListener('keydown', keyHandler);
+    update(window.inputMap.lastDevice);
+    window.eventBus.on(EventBus.EVENTS.INPUT_DEVICE, ({ device }) => update(device));
   }
 }
 
@@ -13,21 +13,33 @@ class UIController {
             settingsPanel: document.getElementById('settingsPanel'),
             gameOverScreen: document.getElementById('gameOverScreen'),
             victoryScreen: document.getElementById('victoryScreen'),
+            upgradeScreen: document.getElementById('upgradeScreen'),
             loadingScreen: document.getElementById('loadingScreen')
         };
         
         this.isPaused = false;
-        this.comboCount = 0;
-        this.comboTimer = null;
+        
+        // Player one's mana and the cost of their selected ability
+        this.mana = 0;
+        this.abilityCost = 0;
+        
+        // Shared event bus (event-bus.js)
+        this.events = window.eventBus;
+        
+        // Action bindings (systems/input-map.js); device shown in the Controls tab
+        this.input = window.inputMap;
+        this.bindingDevice = InputMap.DEVICES.KEYBOARD;
         
         this.init();
     }
 
     init() {
         this.bindEvents();
+        this.bindGameEvents();
         this.initJoystick();
         this.initActionButtons();
         this.initSettings();
+        document.body.dataset.inputDevice = this.input.lastDevice;
         this.showScreen('mainMenu');
     }
 
@@ -49,12 +61,16 @@ class UIController {
         }
         
         // Handle special cases
-        if (screenName === 'gameHUD') {
-            document.getElementById('touchControls').style.display = 'flex';
-        } else {
-            const touchControls = document.getElementById('touchControls');
-            if (touchControls) touchControls.style.display = 'none';
-        }
+        this.updateTouchControls();
+    }
+
+    // Touch controls show in the HUD only while touch is the device in use
+    updateTouchControls() {
+        const touchControls = document.getElementById('touchControls');
+        if (!touchControls) return;
+
+        const touch = this.input.lastDevice === InputMap.DEVICES.TOUCH;
+        touchControls.style.display = this.currentScreen === 'gameHUD' && touch ? 'flex' : 'none';
     }
 
     showLoading(callback) {
@@ -123,6 +139,26 @@ class UIController {
             });
         }
 
+        // Replay file picker and seek bar
+        const replayFile = document.getElementById('replayFile');
+        if (replayFile) {
+            replayFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.loadReplayFile(file);
+                e.target.value = '';
+            });
+        }
+
+        const replaySeek = document.getElementById('replaySeek');
+        if (replaySeek) {
+            replaySeek.addEventListener('change', (e) => {
+                this.events.emit(EventBus.EVENTS.REPLAY_CONTROL, {
+                    command: 'seek',
+                    value: parseInt(e.target.value, 10)
+                });
+            });
+        }
+
         // Quick item slots
         document.querySelectorAll('.item-slot').forEach(slot => {
             slot.addEventListener('click', (e) => {
@@ -131,8 +167,114 @@ class UIController {
             });
         });
 
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Inventory list in the pause menu: numbered buttons fill quick slots
+        const inventory = document.getElementById('pauseInventory');
+        if (inventory) {
+            inventory.addEventListener('click', (e) => {
+                const button = e.target.closest('.assign-btn');
+                if (!button) return;
+                this.emitAction('assign', {
+                    slot: parseInt(button.dataset.slot, 10),
+                    item: button.dataset.item
+                });
+            });
+        }
+
+        // Upgrade cards: picking one is the same as pressing its item key
+        const choices = document.getElementById('upgradeChoices');
+        if (choices) {
+            choices.addEventListener('click', (e) => {
+                const card = e.target.closest('.upgrade-card');
+                if (card) this.emitAction('choose', { slot: parseInt(card.dataset.choice, 10) });
+            });
+        }
+
+        // Keyboard and gamepad actions
+        this.events.on(EventBus.EVENTS.INPUT_PRESSED, ({ action }) => this.handleInputAction(action));
+
+        // Switch controls and binding prompts to the device in use
+        this.events.on(EventBus.EVENTS.INPUT_DEVICE, ({ device }) => {
+            document.body.dataset.inputDevice = device;
+            this.updateTouchControls();
+            if (device === InputMap.DEVICES.KEYBOARD || device === InputMap.DEVICES.GAMEPAD) {
+                this.selectBindingDevice(device);
+            }
+        });
+    }
+
+    bindGameEvents() {
+        const EVENTS = EventBus.EVENTS;
+        
+        this.events.on(EVENTS.GAME_OVER, (summary) => this.showGameOver({
+            enemiesKilled: summary.enemiesKilled,
+            soulsEarned: summary.soulsEarned,
+            timeSurvived: summary.timeSurvived,
+            bestCombo: summary.bestCombo
+        }));
+        
+        // The health bar is player one's
+        this.events.on(EVENTS.PLAYER_DAMAGED, ({ slot, health, maxHealth }) => {
+            if (slot !== 0) return;
+            this.updateHealth(Math.ceil(health), maxHealth);
+            this.triggerDamageFlash();
+        });
+        
+        this.events.on(EVENTS.PLAYER_HEALED, ({ slot, health, maxHealth }) => {
+            if (slot === 0) this.updateHealth(Math.ceil(health), maxHealth);
+        });
+        
+        // Reviving sets health without a heal
+        this.events.on(EVENTS.PLAYER_REVIVED, ({ slot, health, maxHealth }) => {
+            if (slot === 0) this.updateHealth(Math.ceil(health), maxHealth);
+        });
+        
+        // Quick slots and the pause menu inventory show player one's items
+        this.events.on(EVENTS.INVENTORY_CHANGED, (state) => {
+            if (state.slot !== 0) return;
+            this.updateQuickSlots(state.quickSlots);
+            this.updateInventory(state.items, state.quickSlots);
+        });
+        this.events.on(EVENTS.ITEM_COOLDOWNS, ({ slot, quickSlots }) => {
+            if (slot !== 0) return;
+            quickSlots.forEach((state, i) => {
+                this.setCooldown(`itemCooldown${i + 1}`, state ? state.remaining : 0, state ? state.cooldown : 0);
+            });
+        });
+        
+        // Party XP, and player one's upgrade picks
+        this.events.on(EVENTS.XP_CHANGED, ({ xp, required, level }) => this.updateXP(xp, required, level));
+        this.events.on(EVENTS.UPGRADE_OFFER, ({ slot, level, choices }) => {
+            if (slot === 0) this.showUpgrades(level, choices);
+        });
+        this.events.on(EVENTS.UPGRADE_CHOSEN, ({ slot }) => {
+            if (slot === 0 && this.currentScreen === 'upgradeScreen') this.showScreen('gameHUD');
+        });
+        
+        // Player one's combo and score
+        this.events.on(EVENTS.COMBO_CHANGED, ({ slot, combo }) => {
+            if (slot === 0) this.updateCombo(combo);
+        });
+        this.events.on(EVENTS.SCORE_CHANGED, ({ slot, score }) => {
+            if (slot === 0) this.updateScore(score);
+        });
+        
+        this.events.on(EVENTS.REPLAY_STATE, (status) => this.updateReplayBar(status));
+        
+        // The game owns mana and ability cooldowns; the HUD shows player one's
+        this.events.on(EVENTS.ABILITY_COOLDOWN, ({ slot, remaining, cooldown }) => {
+            if (slot === 0) this.setCooldown('specialCooldown', remaining, cooldown);
+        });
+        this.events.on(EVENTS.ABILITY_SELECTED, (ability) => {
+            if (ability.slot === 0) this.updateAbility(ability);
+        });
+        this.events.on(EVENTS.MANA_CHANGED, ({ slot, mana, maxMana }) => {
+            if (slot === 0) this.updateMana(Math.floor(mana), maxMana);
+        });
+        
+        // Replays show the fight but not the victory screen
+        this.events.on(EVENTS.BOSS_DEFEATED, (stats) => {
+            if (!stats.replay) this.showVictory(stats);
+        });
     }
 
     handleAction(action) {
@@ -183,6 +325,24 @@ class UIController {
             case 'mainmenu':
                 this.showScreen('mainMenu');
                 break;
+            case 'replays':
+                document.getElementById('replayFile')?.click();
+                break;
+            case 'exportReplay':
+                this.events.emit(EventBus.EVENTS.REPLAY_CONTROL, { command: 'export' });
+                break;
+            case 'replaySlower':
+            case 'replayFaster': {
+                const speed = this.replaySpeed || 1;
+                this.events.emit(EventBus.EVENTS.REPLAY_CONTROL, {
+                    command: 'speed',
+                    value: action === 'replayFaster' ? speed * 2 : speed / 2
+                });
+                break;
+            }
+            case 'replayExit':
+                this.events.emit(EventBus.EVENTS.REPLAY_CONTROL, { command: 'stop' });
+                break;
             case 'closeSettings':
                 if (this.currentScreen === 'gameHUD' || this.isPaused) {
                     this.showScreen('pauseMenu');
@@ -193,19 +353,23 @@ class UIController {
         }
     }
 
-    handleKeydown(e) {
-        switch(e.key) {
-            case 'Escape':
-            case 'p':
-            case 'P':
-                if (this.currentScreen === 'gameHUD') {
+    // Device input already reaches the game as actions; the HUD only mirrors it
+    handleInputAction(action) {
+        switch (action) {
+            case InputMap.ACTIONS.PAUSE:
+                if (this.currentScreen === 'gameHUD' || this.currentScreen === 'pauseMenu') {
                     this.togglePause();
                 }
                 break;
-            case ' ':
-                e.preventDefault();
+            case InputMap.ACTIONS.ATTACK:
                 if (this.currentScreen === 'gameHUD') {
-                    this.triggerAttack();
+                    this.showButtonFeedback('attackBtn');
+                }
+                break;
+            case InputMap.ACTIONS.JUMP:
+            case InputMap.ACTIONS.SPECIAL:
+                if (this.currentScreen === 'gameHUD') {
+                    this.showButtonFeedback(`${action}Btn`);
                 }
                 break;
         }
@@ -221,7 +385,7 @@ class UIController {
         this.updateHealth(10000, 10000);
         this.updateMana(500, 500);
         this.updateScore(0);
-        this.comboCount = 0;
+        this.updateCombo(0);
     }
 
     loadGame() {
@@ -229,13 +393,50 @@ class UIController {
         // Load saved state
     }
 
+    /* ============================================
+       REPLAYS
+       ============================================ */
+
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.showScreen('gameHUD');
+            this.events.emit(EventBus.EVENTS.REPLAY_LOAD, { text: reader.result });
+        };
+        reader.onerror = () => console.error('Failed to read replay file:', reader.error);
+        reader.readAsText(file);
+    }
+
+    updateReplayBar(status) {
+        const bar = document.getElementById('replayBar');
+        if (!bar) return;
+
+        const active = status.state === 'playing' || status.state === 'finished';
+        bar.classList.toggle('active', active);
+        this.replaySpeed = status.speed;
+
+        const speed = document.getElementById('replaySpeed');
+        const time = document.getElementById('replayTime');
+        const seek = document.getElementById('replaySeek');
+
+        if (speed) speed.textContent = `${status.speed}x`;
+        if (time) time.textContent = `${this.formatTime(status.time)} / ${this.formatTime(status.duration)}`;
+        if (seek) {
+            seek.max = status.ticks;
+            // Don't fight the user while they drag
+            if (document.activeElement !== seek) seek.value = status.tick;
+        }
+    }
+
     restartLevel() {
         console.log('Restarting level...');
+        this.emitAction('restart');
         this.startGame();
     }
 
     nextLevel() {
         console.log('Loading next level...');
+        this.emitAction('nextLevel');
         this.startGame();
     }
 
@@ -323,9 +524,7 @@ class UIController {
 
     onJoystickMove(x, y) {
         // Emit movement event
-        window.dispatchEvent(new CustomEvent('joystickmove', { 
-            detail: { x, y } 
-        }));
+        this.events.emit(EventBus.EVENTS.INPUT_JOYSTICK, { x, y });
     }
 
     /* ============================================
@@ -364,26 +563,24 @@ class UIController {
         }
     }
 
+    emitAction(action, detail = {}) {
+        this.events.emit(EventBus.EVENTS.INPUT_ACTION, { action, ...detail });
+    }
+
     triggerAttack() {
-        window.dispatchEvent(new CustomEvent('gameaction', { detail: { action: 'attack' } }));
+        this.emitAction('attack');
         this.showButtonFeedback('attackBtn');
-        this.incrementCombo();
     }
 
     triggerJump() {
-        window.dispatchEvent(new CustomEvent('gameaction', { detail: { action: 'jump' } }));
+        this.emitAction('jump');
         this.showButtonFeedback('jumpBtn');
     }
 
+    // The game decides whether the ability is ready; the overlay only shows it
     triggerSpecial() {
-        const overlay = document.getElementById('specialCooldown');
-        if (overlay && overlay.style.clipPath === 'circle(0% at 50% 50%)') {
-            return; // On cooldown
-        }
-        
-        window.dispatchEvent(new CustomEvent('gameaction', { detail: { action: 'special' } }));
+        this.emitAction('special');
         this.showButtonFeedback('specialBtn');
-        this.startCooldown('specialCooldown', 5000); // 5 second cooldown
     }
 
     showButtonFeedback(btnId) {
@@ -399,26 +596,14 @@ class UIController {
         }
     }
 
-    startCooldown(elementId, duration) {
+    // Shades a button for the part of its cooldown still to run. The game
+    // reports the remaining time every tick, so a paused game holds it still.
+    setCooldown(elementId, remaining, duration) {
         const overlay = document.getElementById(elementId);
         if (!overlay) return;
         
-        overlay.style.clipPath = 'circle(100% at 50% 50%)';
-        
-        let start = Date.now();
-        const updateCooldown = () => {
-            const elapsed = Date.now() - start;
-            const remaining = Math.max(0, duration - elapsed);
-            const percent = (remaining / duration) * 100;
-            
-            overlay.style.clipPath = `circle(${percent}% at 50% 50%)`;
-            
-            if (remaining > 0) {
-                requestAnimationFrame(updateCooldown);
-            }
-        };
-        
-        requestAnimationFrame(updateCooldown);
+        const percent = duration > 0 ? Math.min(1, remaining / duration) * 100 : 0;
+        overlay.style.clipPath = `circle(${percent}% at 50% 50%)`;
     }
 
     /* ============================================
@@ -446,6 +631,28 @@ class UIController {
         const percent = (current / max) * 100;
         if (fill) fill.style.width = `${percent}%`;
         if (text) text.textContent = `${current} / ${max}`;
+        
+        this.mana = current;
+        this.updateSpecialReady();
+    }
+
+    // ability: { name, icon, cost, cooldown, remaining } of the selected ability
+    updateAbility({ name, icon, cost, cooldown, remaining }) {
+        const btn = document.getElementById('specialBtn');
+        const iconEl = btn?.querySelector('.btn-icon');
+        
+        if (btn) btn.title = `${name} (${cost} mana)`;
+        if (iconEl) iconEl.textContent = icon;
+        
+        this.abilityCost = cost;
+        this.updateSpecialReady();
+        this.setCooldown('specialCooldown', remaining, cooldown);
+    }
+
+    // Dims the special button while player one can't afford the ability
+    updateSpecialReady() {
+        const btn = document.getElementById('specialBtn');
+        if (btn) btn.classList.toggle('no-mana', this.mana < this.abilityCost);
     }
 
     updateScore(score) {
@@ -458,26 +665,48 @@ class UIController {
     updateXP(current, max, level) {
         const fill = document.getElementById('xpFill');
         const text = document.querySelector('.xp-text');
+        const badge = document.getElementById('levelBadge');
         
         const percent = (current / max) * 100;
         if (fill) fill.style.width = `${percent}%`;
         if (text) text.textContent = `Level ${level} • ${Math.floor(percent)}%`;
+        if (badge) badge.textContent = level;
+    }
+
+    // choices: { name, icon, description } per card, in key order
+    showUpgrades(level, choices) {
+        const title = document.getElementById('upgradeTitle');
+        const list = document.getElementById('upgradeChoices');
+        if (!list) return;
+
+        if (title) title.textContent = `Level ${level}!`;
+        list.innerHTML = '';
+
+        choices.forEach(({ name, icon, description }, i) => {
+            const card = document.createElement('button');
+            card.className = 'upgrade-card';
+            card.dataset.choice = i + 1;
+
+            [['upgrade-key', i + 1], ['upgrade-icon', icon], ['upgrade-name', name], ['upgrade-description', description]].forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                card.appendChild(span);
+            });
+
+            list.appendChild(card);
+        });
+
+        this.showScreen('upgradeScreen');
     }
 
-    incrementCombo() {
-        this.comboCount++;
+    // The game counts the hits and drops the combo; this only shows it
+    updateCombo(combo) {
         const display = document.getElementById('comboDisplay');
         const count = display?.querySelector('.combo-count');
         
-        if (count) count.textContent = `x${this.comboCount}`;
-        if (display) display.classList.add('active');
-        
-        // Reset combo timer
-        clearTimeout(this.comboTimer);
-        this.comboTimer = setTimeout(() => {
-            this.comboCount = 0;
-            if (display) display.classList.remove('active');
-        }, 3000);
+        if (count && combo > 0) count.textContent = `x${combo}`;
+        if (display) display.classList.toggle('active', combo > 1);
     }
 
     showDamageNumber(damage, x, y, isCrit = false) {
@@ -503,9 +732,62 @@ class UIController {
     }
 
     useItem(slot) {
-        window.dispatchEvent(new CustomEvent('gameaction', { 
-            detail: { action: 'item', slot } 
-        }));
+        this.emitAction('item', { slot: parseInt(slot) });
+    }
+
+    // quickSlots: { icon, count } or null per slot
+    updateQuickSlots(quickSlots) {
+        document.querySelectorAll('.item-slot').forEach(slot => {
+            const entry = quickSlots[parseInt(slot.dataset.slot, 10) - 1];
+            const icon = slot.querySelector('.item-icon');
+            const count = slot.querySelector('.item-count');
+
+            slot.classList.toggle('empty', !entry);
+            slot.classList.toggle('spent', !!entry && entry.count === 0);
+            slot.title = entry ? entry.name : '';
+            if (icon) icon.textContent = entry ? entry.icon : '';
+            if (count) count.textContent = entry ? entry.count : '';
+        });
+    }
+
+    // One row per carried item, with a button for each quick slot
+    updateInventory(items, quickSlots) {
+        const list = document.getElementById('pauseInventory');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'inventory-empty';
+            empty.textContent = 'No items';
+            list.appendChild(empty);
+            return;
+        }
+
+        items.forEach(({ item, name, icon, count }) => {
+            const row = document.createElement('div');
+            row.className = 'inventory-row';
+
+            [['item-icon', icon], ['item-name', name], ['item-stack', `x${count}`]].forEach(([className, text]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                row.appendChild(span);
+            });
+
+            quickSlots.forEach((entry, i) => {
+                const btn = document.createElement('button');
+                btn.className = 'assign-btn';
+                btn.classList.toggle('active', !!entry && entry.item === item);
+                btn.dataset.slot = i + 1;
+                btn.dataset.item = item;
+                btn.textContent = i + 1;
+                row.appendChild(btn);
+            });
+
+            list.appendChild(row);
+        });
     }
 
     /* ============================================
@@ -537,13 +819,11 @@ class UIController {
         if (fill) fill.style.width = `${value}%`;
         
         // Emit volume change event
-        window.dispatchEvent(new CustomEvent('volumechange', {
-            detail: { type, value: parseInt(value) / 100 }
-        }));
+        this.events.emit(EventBus.EVENTS.SETTINGS_VOLUME, { type, value: parseInt(value) / 100 });
     }
 
     toggleMute(muted) {
-        window.dispatchEvent(new CustomEvent('mutechange', { detail: { muted } }));
+        this.events.emit(EventBus.EVENTS.SETTINGS_MUTE, { muted });
     }
 
     initSettings() {
@@ -555,6 +835,83 @@ class UIController {
                 if (fill) fill.style.width = `${slider.value}%`;
             }
         });
+        
+        this.initBindings();
+    }
+
+    initBindings() {
+        document.querySelectorAll('#bindingDevices [data-device]').forEach(btn => {
+            btn.addEventListener('click', (e) => this.selectBindingDevice(e.currentTarget.dataset.device));
+        });
+
+        const reset = document.getElementById('resetBindings');
+        if (reset) {
+            reset.addEventListener('click', () => this.input.resetBindings(this.bindingDevice));
+        }
+
+        this.events.on(EventBus.EVENTS.INPUT_BINDINGS, () => this.renderBindings());
+        this.renderBindings();
+    }
+
+    selectBindingDevice(device) {
+        if (device === this.bindingDevice) return;
+
+        this.bindingDevice = device;
+        document.querySelectorAll('#bindingDevices [data-device]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.device === device);
+        });
+        this.input.cancelCapture();
+        this.renderBindings();
+    }
+
+    renderBindings() {
+        const list = document.getElementById('bindingList');
+        if (!list) return;
+
+        const device = this.bindingDevice;
+        list.innerHTML = '';
+
+        Object.entries(InputMap.LABELS).forEach(([action, label]) => {
+            const inputs = this.input.getBindings(device, action);
+
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const btn = document.createElement('button');
+            btn.className = 'option-btn binding-btn';
+            btn.textContent = inputs.length > 0
+                ? inputs.map(input => InputMap.describe(device, input)).join(' / ')
+                : '—';
+            btn.addEventListener('click', () => this.captureBinding(btn, device, action));
+
+            row.appendChild(name);
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+    }
+
+    // Rebinds the action's primary input to the next key or button pressed
+    captureBinding(btn, device, action) {
+        btn.classList.add('capturing');
+        btn.textContent = device === InputMap.DEVICES.GAMEPAD ? 'Press a button…' : 'Press a key…';
+
+        // A newer capture may have replaced this one before it settled
+        this.input.captureBinding(device, action).then(() => {
+            if (!this.input.capture) this.renderBindings();
+        });
+
+        // Gamepads are only read when polled; keep polling until captured
+        if (device === InputMap.DEVICES.GAMEPAD) {
+            const poll = () => {
+                if (!this.input.capture) return;
+                this.input.pollGamepads();
+                requestAnimationFrame(poll);
+            };
+            requestAnimationFrame(poll);
+        }
     }
 
     /* ============================================
@@ -592,15 +949,45 @@ class UIController {
                 bestCombo: document.getElementById('bestCombo')
             };
             
+            // Raw numbers from the game are formatted for display
+            const formatters = {
+                enemiesKilled: value => value.toLocaleString(),
+                soulsEarned: value => value.toLocaleString(),
+                timeSurvived: value => this.formatTime(value),
+                bestCombo: value => `x${value}`
+            };
+            
             Object.entries(stats).forEach(([key, value]) => {
-                if (elements[key]) elements[key].textContent = value;
+                if (!elements[key]) return;
+                const format = typeof value === 'number' ? formatters[key] : null;
+                elements[key].textContent = format ? format(value) : value;
             });
         }
         
         this.showScreen('gameOverScreen');
     }
 
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
     showVictory(stats) {
+        if (stats) {
+            const fields = {
+                victorySubtitle: stats.name && `${stats.name} has been vanquished`,
+                victoryTime: typeof stats.timeSurvived === 'number' && this.formatTime(stats.timeSurvived),
+                victoryDamage: typeof stats.damageDealt === 'number' && Math.round(stats.damageDealt).toLocaleString(),
+                victorySouls: typeof stats.soulsEarned === 'number' && stats.soulsEarned.toLocaleString()
+            };
+            
+            Object.entries(fields).forEach(([id, text]) => {
+                const element = document.getElementById(id);
+                if (element && text) element.textContent = text;
+            });
+        }
+        
         this.showScreen('victoryScreen');
         this.startVictoryParticles();
     }
@@ -27,8 +27,10 @@ class WakeLockManager {
   }
   
   setupEventListeners() {
+    const EVENTS = EventBus.EVENTS;
+    
     // Request wake lock when game starts
-    document.addEventListener('game-ready', () => {
+    window.eventBus.on(EVENTS.GAME_READY, () => {
       this.request();
     });
     
@@ -40,11 +42,11 @@ class WakeLockManager {
     });
     
     // Handle game pause/resume
-    window.addEventListener('game-pause', () => {
+    window.eventBus.on(EVENTS.GAME_PAUSE, () => {
       this.release();
     });
     
-    window.addEventListener('game-resume', () => {
+    window.eventBus.on(EVENTS.GAME_RESUME, () => {
       this.request();
     });
   }